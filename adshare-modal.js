@@ -1846,6 +1846,8 @@ var defaultOptions = {
     debug : false,
     download: true,
     e404: false,
+    blockedContent: 'premium',
+    onContent: null,
     playerOptions : {
         videoPath : './vids/'
     },
@@ -1884,6 +1886,8 @@ function applyOptions(opts) {
         moduleOptions.locale = determineOptionValue('locale');
         moduleOptions.debug = determineOptionValue('debug');
         moduleOptions.e404 = determineOptionValue('e404');
+        moduleOptions.blockedContent = determineOptionValue('blockedContent');
+        moduleOptions.onContent = determineOptionValue('onContent');
 
         if (moduleOptions.countdownDuration <= 0) {
             moduleOptions.closeModalAutomatically = false;
@@ -2064,7 +2068,20 @@ var messages = {
         countdown_downloading: 'ihre Datei lädt jetzt herunter!',
         download_ready: 'Dein Download ist bereit. Klicke hier um ihn zu starten.',
         subtitle_1: 'Als Premium Nutzer starten all Ihre Downloads sofort!',
-        subtitle_2: 'Zus&auml;tzlich wird Ihnen keine Werbung angezeigt und Ihre Downloads laden schneller herunter!'
+        subtitle_2: 'Zus&auml;tzlich wird Ihnen keine Werbung angezeigt und Ihre Downloads laden schneller herunter!',
+        whitelist_title: 'Bitte deaktiviere Deinen Werbeblocker f&uuml;r unsere Seite',
+        whitelist_intro: 'Unsere kostenlosen Downloads werden durch Werbung finanziert. So f&uuml;gst Du uns zu Deiner Ausnahmeliste hinzu:',
+        whitelist_adblockplus: '<h2>Adblock Plus</h2><ol><li>Klicke auf das Adblock Plus Symbol in der Symbolleiste.</li><li>Schalte &quot;Werbung blockieren auf: Diese Website&quot; aus.</li></ol>',
+        whitelist_adblock: '<h2>AdBlock</h2><ol><li>Klicke auf das AdBlock Symbol in der Symbolleiste.</li><li>W&auml;hle &quot;Auf Seiten dieser Domain nicht aktiv&quot; und best&auml;tige mit &quot;Ausschlie&szlig;en&quot;.</li></ol>',
+        whitelist_ublock: '<h2>uBlock Origin</h2><ol><li>Klicke auf das uBlock Origin Symbol in der Symbolleiste.</li><li>Klicke auf den gro&szlig;en blauen Ein/Aus-Schalter, bis er grau ist.</li></ol>',
+        whitelist_brave: '<h2>Brave Shields</h2><ol><li>Klicke auf das L&ouml;wen-Symbol rechts in der Adressleiste.</li><li>Schalte die Shields f&uuml;r diese Seite aus.</li></ol>',
+        whitelist_opera: '<h2>Opera Werbeblocker</h2><ol><li>Klicke auf das blaue Schild-Symbol in der Adressleiste.</li><li>Schalte &quot;Werbung auf dieser Seite blockieren&quot; aus.</li></ol>',
+        whitelist_firefox: '<h2>Firefox Schutz vor Aktivit&auml;tenverfolgung</h2><ol><li>Klicke auf das Schild-Symbol links in der Adressleiste.</li><li>Schalte den verbesserten Schutz f&uuml;r diese Seite aus.</li></ol>',
+        whitelist_recheck: 'Erledigt, erneut pr&uuml;fen',
+        whitelist_checking: 'Wird gepr&uuml;ft&hellip;',
+        whitelist_still_blocked: 'Dein Werbeblocker ist noch aktiv. Bitte pr&uuml;fe die Schritte oben und versuche es erneut.',
+        blocked_title: 'Werbefrei und sofort mit Premium',
+        blocked_text: 'Du nutzt einen Werbeblocker, deshalb zeigen wir Dir hier keine Werbung. Mit einem Premium Account startet Dein Download sofort, ohne Wartezeit und mit voller Geschwindigkeit.'
     },
     'en' : {
         premium_button_title: 'Premium Download!',
@@ -2076,7 +2093,20 @@ var messages = {
         countdown_downloading: 'Your file is downloading now!',
         download_ready: 'Your download is ready. Click here to download your file.',
         subtitle_1: 'If you become a premium user today, your downloads will start immediately!',
-        subtitle_2: 'Additionally, no ads will be displayed and you can download much faster.'
+        subtitle_2: 'Additionally, no ads will be displayed and you can download much faster.',
+        whitelist_title: 'Please allow our site in your ad blocker',
+        whitelist_intro: 'Our free downloads are paid for by ads. This is how you add us to your whitelist:',
+        whitelist_adblockplus: '<h2>Adblock Plus</h2><ol><li>Click the Adblock Plus icon in your toolbar.</li><li>Switch off &quot;Block ads on: This website&quot;.</li></ol>',
+        whitelist_adblock: '<h2>AdBlock</h2><ol><li>Click the AdBlock icon in your toolbar.</li><li>Choose &quot;Don\'t run on pages on this domain&quot; and confirm with &quot;Exclude&quot;.</li></ol>',
+        whitelist_ublock: '<h2>uBlock Origin</h2><ol><li>Click the uBlock Origin icon in your toolbar.</li><li>Click the big blue power button until it turns grey.</li></ol>',
+        whitelist_brave: '<h2>Brave Shields</h2><ol><li>Click the lion icon on the right of the address bar.</li><li>Switch the Shields off for this site.</li></ol>',
+        whitelist_opera: '<h2>Opera ad blocker</h2><ol><li>Click the blue shield icon in the address bar.</li><li>Switch off &quot;Block ads on this site&quot;.</li></ol>',
+        whitelist_firefox: '<h2>Firefox Tracking Protection</h2><ol><li>Click the shield icon on the left of the address bar.</li><li>Turn off Enhanced Tracking Protection for this site.</li></ol>',
+        whitelist_recheck: 'I\'ve done it, check again',
+        whitelist_checking: 'Checking&hellip;',
+        whitelist_still_blocked: 'Your ad blocker is still active. Please check the steps above and try again.',
+        blocked_title: 'Ad-free and instant with Premium',
+        blocked_text: 'You are using an ad blocker, so we don\'t show you any ads here. With a Premium account your download starts immediately, without waiting and at full speed.'
     },
     'es' : {
         premium_button_title: 'descarga Premium!',
@@ -2088,7 +2118,20 @@ var messages = {
         countdown_downloading: 'Tu archivo se esta descargando!',
         download_ready: 'Tu descarga esta lista. Clique aqui para descargar tu archivo.',
         subtitle_1: '¡Mientras esperas, checa los temas de mayor tendencia en internet!',
-        subtitle_2: 'Todas las historias se abrirán en una nueva pestana. <span class="info-addition">El download no será interrumpido.</span>'
+        subtitle_2: 'Todas las historias se abrirán en una nueva pestana. <span class="info-addition">El download no será interrumpido.</span>',
+        whitelist_title: 'Por favor, permite nuestro sitio en tu bloqueador de anuncios',
+        whitelist_intro: 'Nuestras descargas gratuitas se financian con publicidad. As&iacute; nos a&ntilde;ades a tu lista blanca:',
+        whitelist_adblockplus: '<h2>Adblock Plus</h2><ol><li>Haz clic en el icono de Adblock Plus en la barra de herramientas.</li><li>Desactiva &quot;Bloquear anuncios en: Este sitio web&quot;.</li></ol>',
+        whitelist_adblock: '<h2>AdBlock</h2><ol><li>Haz clic en el icono de AdBlock en la barra de herramientas.</li><li>Elige &quot;No ejecutar en p&aacute;ginas de este dominio&quot; y confirma con &quot;Excluir&quot;.</li></ol>',
+        whitelist_ublock: '<h2>uBlock Origin</h2><ol><li>Haz clic en el icono de uBlock Origin en la barra de herramientas.</li><li>Pulsa el gran bot&oacute;n azul de encendido hasta que se vuelva gris.</li></ol>',
+        whitelist_brave: '<h2>Brave Shields</h2><ol><li>Haz clic en el icono del le&oacute;n a la derecha de la barra de direcciones.</li><li>Desactiva los Shields para este sitio.</li></ol>',
+        whitelist_opera: '<h2>Bloqueador de anuncios de Opera</h2><ol><li>Haz clic en el icono del escudo azul en la barra de direcciones.</li><li>Desactiva &quot;Bloquear anuncios en este sitio&quot;.</li></ol>',
+        whitelist_firefox: '<h2>Protecci&oacute;n contra rastreo de Firefox</h2><ol><li>Haz clic en el icono del escudo a la izquierda de la barra de direcciones.</li><li>Desactiva la protecci&oacute;n mejorada contra el rastreo para este sitio.</li></ol>',
+        whitelist_recheck: 'Ya lo hice, comprobar de nuevo',
+        whitelist_checking: 'Comprobando&hellip;',
+        whitelist_still_blocked: 'Tu bloqueador de anuncios sigue activo. Revisa los pasos de arriba e int&eacute;ntalo de nuevo.',
+        blocked_title: 'Sin anuncios y al instante con Premium',
+        blocked_text: 'Est&aacute;s usando un bloqueador de anuncios, por eso no te mostramos publicidad aqu&iacute;. Con una cuenta Premium tu descarga empieza al instante, sin esperas y a m&aacute;xima velocidad.'
     },
     'fr' : {
         premium_button_title: 'Premium Download!',
@@ -2100,7 +2143,20 @@ var messages = {
         countdown_downloading: 'Votre fichier télécharge maintenant!',
         download_ready: 'Votre téléchargement est prêt. Cliquez ici pour télécharger le fichier.',
         subtitle_1: 'En attendant, va voir les sujets les plus tendances sur Internet!',
-        subtitle_2: 'Toutes les histoires s’ouvriront dans un nouvel onglet. <span class="info-addition">Ton téléchargement ne sera PAS interrompu.</span>'
+        subtitle_2: 'Toutes les histoires s’ouvriront dans un nouvel onglet. <span class="info-addition">Ton téléchargement ne sera PAS interrompu.</span>',
+        whitelist_title: 'Merci d\'autoriser notre site dans ton bloqueur de publicit&eacute;s',
+        whitelist_intro: 'Nos t&eacute;l&eacute;chargements gratuits sont financ&eacute;s par la publicit&eacute;. Voici comment nous ajouter &agrave; ta liste blanche :',
+        whitelist_adblockplus: '<h2>Adblock Plus</h2><ol><li>Clique sur l\'ic&ocirc;ne Adblock Plus dans la barre d\'outils.</li><li>D&eacute;sactive &quot;Bloquer les publicit&eacute;s sur : Ce site web&quot;.</li></ol>',
+        whitelist_adblock: '<h2>AdBlock</h2><ol><li>Clique sur l\'ic&ocirc;ne AdBlock dans la barre d\'outils.</li><li>Choisis &quot;Ne pas ex&eacute;cuter sur les pages de ce domaine&quot; et confirme avec &quot;Exclure&quot;.</li></ol>',
+        whitelist_ublock: '<h2>uBlock Origin</h2><ol><li>Clique sur l\'ic&ocirc;ne uBlock Origin dans la barre d\'outils.</li><li>Clique sur le grand bouton bleu jusqu\'&agrave; ce qu\'il devienne gris.</li></ol>',
+        whitelist_brave: '<h2>Brave Shields</h2><ol><li>Clique sur l\'ic&ocirc;ne du lion &agrave; droite de la barre d\'adresse.</li><li>D&eacute;sactive les Shields pour ce site.</li></ol>',
+        whitelist_opera: '<h2>Bloqueur de publicit&eacute;s Opera</h2><ol><li>Clique sur l\'ic&ocirc;ne du bouclier bleu dans la barre d\'adresse.</li><li>D&eacute;sactive &quot;Bloquer les publicit&eacute;s sur ce site&quot;.</li></ol>',
+        whitelist_firefox: '<h2>Protection contre le pistage de Firefox</h2><ol><li>Clique sur l\'ic&ocirc;ne du bouclier &agrave; gauche de la barre d\'adresse.</li><li>D&eacute;sactive la protection renforc&eacute;e contre le pistage pour ce site.</li></ol>',
+        whitelist_recheck: 'C\'est fait, v&eacute;rifier &agrave; nouveau',
+        whitelist_checking: 'V&eacute;rification&hellip;',
+        whitelist_still_blocked: 'Ton bloqueur de publicit&eacute;s est toujours actif. V&eacute;rifie les &eacute;tapes ci-dessus et r&eacute;essaie.',
+        blocked_title: 'Sans publicit&eacute; et imm&eacute;diat avec Premium',
+        blocked_text: 'Tu utilises un bloqueur de publicit&eacute;s, nous ne t\'affichons donc aucune publicit&eacute; ici. Avec un compte Premium ton t&eacute;l&eacute;chargement d&eacute;marre imm&eacute;diatement, sans attente et &agrave; pleine vitesse.'
     },
     'tr' : {
         premium_button_title: 'Premium Download!',
@@ -2112,7 +2168,20 @@ var messages = {
         countdown_downloading: 'Your file is downloading now!',
         download_ready: 'Your download is ready. Click here to download your file.',
         subtitle_1: 'If you become a premium user today, your downloads will start immediately!',
-        subtitle_2: 'Additionally, no ads will be displayed and you can download much faster.'
+        subtitle_2: 'Additionally, no ads will be displayed and you can download much faster.',
+        whitelist_title: 'Please allow our site in your ad blocker',
+        whitelist_intro: 'Our free downloads are paid for by ads. This is how you add us to your whitelist:',
+        whitelist_adblockplus: '<h2>Adblock Plus</h2><ol><li>Click the Adblock Plus icon in your toolbar.</li><li>Switch off &quot;Block ads on: This website&quot;.</li></ol>',
+        whitelist_adblock: '<h2>AdBlock</h2><ol><li>Click the AdBlock icon in your toolbar.</li><li>Choose &quot;Don\'t run on pages on this domain&quot; and confirm with &quot;Exclude&quot;.</li></ol>',
+        whitelist_ublock: '<h2>uBlock Origin</h2><ol><li>Click the uBlock Origin icon in your toolbar.</li><li>Click the big blue power button until it turns grey.</li></ol>',
+        whitelist_brave: '<h2>Brave Shields</h2><ol><li>Click the lion icon on the right of the address bar.</li><li>Switch the Shields off for this site.</li></ol>',
+        whitelist_opera: '<h2>Opera ad blocker</h2><ol><li>Click the blue shield icon in the address bar.</li><li>Switch off &quot;Block ads on this site&quot;.</li></ol>',
+        whitelist_firefox: '<h2>Firefox Tracking Protection</h2><ol><li>Click the shield icon on the left of the address bar.</li><li>Turn off Enhanced Tracking Protection for this site.</li></ol>',
+        whitelist_recheck: 'I\'ve done it, check again',
+        whitelist_checking: 'Checking&hellip;',
+        whitelist_still_blocked: 'Your ad blocker is still active. Please check the steps above and try again.',
+        blocked_title: 'Ad-free and instant with Premium',
+        blocked_text: 'You are using an ad blocker, so we don\'t show you any ads here. With a Premium account your download starts immediately, without waiting and at full speed.'
     }
 };
 
@@ -2855,6 +2924,40 @@ function displayTalooba404() {
         writeTaloobaIFrameHtml();
     }, 0);
 }
+function displayBlockedPanel() {
+    if (modal) {
+        document.getElementById('adshare-modal-content').innerHTML = getBlockedPanelHTML();
+        if (getCountdownTimeLeft() <= 0) {
+            countdownTimer();
+        }
+    } else if (container) {
+        container.firstChild.innerHTML = getBlockedPanelHTML();
+        if (getCountdownTimeLeft() <= 0) {
+            countdownTimer();
+        }
+    } else {
+        if (moduleOptions.integration == 'native') {
+            container = createContainer(getBlockedPanelHTML());
+            startCountdownTimer();
+        } else {
+            modal = createModalWindow(getBlockedPanelHTML());
+            modal.show();
+        }
+    }
+}
+
+function getBlockedPanelHTML() {
+    var panel =
+        '<div id="adshare-blocked" style="text-align: center; width: 920px; margin-top: 20px;">'
+        + '  <h2>' + i18n('blocked_title') + '</h2>'
+        + '  <p>' + i18n('blocked_text') + '</p>'
+        + '</div>';
+
+    var prefix = getHeaderSection();
+    var postfix = '';
+    return prefix + panel + postfix;
+}
+
 function displayVideoAd() {
     displaysFallbackAd = false;
     if (modal) {
@@ -3048,6 +3151,103 @@ function getVideoBannerHTML() {
     return prefix + videoBanner + postfix;
 }
 
+function getBrowserName() {
+    var ua = navigator.userAgent;
+    if (navigator.brave) {
+        return 'brave';
+    } else if (ua.indexOf('OPR/') != -1 || ua.indexOf('Opera') != -1) {
+        return 'opera';
+    } else if (ua.indexOf('Edg') != -1) {
+        return 'edge';
+    } else if (ua.indexOf('Firefox') != -1) {
+        return 'firefox';
+    } else if (ua.indexOf('Chrome') != -1) {
+        return 'chrome';
+    } else if (ua.indexOf('Safari') != -1) {
+        return 'safari';
+    }
+    return 'other';
+}
+
+function getWhitelistBlockers() {
+    var browser = getBrowserName();
+    if (browser == 'brave') {
+        return ['brave'];
+    } else if (browser == 'opera') {
+        return ['opera', 'adblockplus', 'ublock'];
+    } else if (browser == 'firefox') {
+        return ['adblockplus', 'ublock', 'firefox'];
+    }
+    return ['adblockplus', 'adblock', 'ublock'];
+}
+
+function getWhitelistDialogHTML() {
+    var blockers = getWhitelistBlockers();
+    var steps = '';
+    for (var i = 0; i < blockers.length; i++) {
+        steps += '<div class="adshare-whitelist-blocker">' + i18n('whitelist_' + blockers[i]) + '</div>';
+    }
+
+    return '<div id="adshare-whitelist">'
+        + '  <h1>' + i18n('whitelist_title') + '</h1>'
+        + '  <p>' + i18n('whitelist_intro') + '</p>'
+        + steps
+        + '  <p id="adshare-whitelist-status" class="error"></p>'
+        + '  <button id="adshare-whitelist-recheck" type="button">' + i18n('whitelist_recheck') + '</button>'
+        + '</div>';
+}
+
+function recheckWhitelist(detector) {
+    var button = document.getElementById('adshare-whitelist-recheck');
+    var status = document.getElementById('adshare-whitelist-status');
+    button.disabled = true;
+    status.innerHTML = i18n('whitelist_checking');
+
+    detector.detect(false).then(function(result) {
+        if (!whitelistModal) {
+            return;
+        }
+        if (result.detected) {
+            button.disabled = false;
+            status.innerHTML = i18n('whitelist_still_blocked');
+        } else {
+            var callbacks = whitelistAllowed;
+            whitelistModal.close();
+            for (var i = 0; i < callbacks.length; i++) {
+                callbacks[i](result);
+            }
+        }
+    });
+}
+
+function displayWhitelistDialog(detector, allowed) {
+    // every caller gets its callback, even if the dialog is already open
+    if (allowed) {
+        whitelistAllowed.push(allowed);
+    }
+    if (whitelistModal) {
+        return whitelistModal;
+    }
+
+    whitelistModal = picoModal({
+        content: getWhitelistDialogHTML(),
+        overlayClose: false,
+        modalClass: 'adshare-whitelist-modal'
+    });
+    whitelistModal.afterCreate(function(modal) {
+        addEventListener(modal.modalElem().querySelector('#adshare-whitelist-recheck'), 'click', function() {
+            recheckWhitelist(detector);
+        });
+    });
+    whitelistModal.afterClose(function(modal) {
+        modal.destroy();
+        whitelistModal = null;
+        whitelistAllowed = [];
+    });
+    whitelistModal.show();
+    return whitelistModal;
+}
+
 wnd.adshareVideoAd = wnd.adshareModal = function(param1, param2) {
     if (typeof param1 == "string") {
         var elem = document.querySelector(param1);
@@ -3059,14 +3259,40 @@ wnd.adshareVideoAd = wnd.adshareModal = function(param1, param2) {
     } else {
         applyOptions(param1);
         setTimeout(function() {
-            displayAd();
+            routeAd();
         }, moduleOptions.timeout);
     }
 }
 
+wnd.adshareWhitelistDialog = function(opts) {
+    opts = opts || {};
+    var detector = opts.detector || wnd.fuckAdBlock;
+    if (opts.locale) {
+        moduleOptions.locale = opts.locale;
+    }
+
+    if (opts.show) {
+        return displayWhitelistDialog(detector);
+    }
+
+    // the onload verdict has usually been emitted already
+    var show = function(result) {
+        if (result.detected) {
+            displayWhitelistDialog(detector);
+        }
+    };
+    if (detector.getResult()) {
+        show(detector.getResult());
+    } else {
+        detector.detect(false).then(show);
+    }
+}
+
 var player;
 var modal = null;
 var container = null;
+var whitelistModal = null;
+var whitelistAllowed = [];
 
 var playerInitialized = false;
 var adsharecountdownstart;
@@ -3082,6 +3308,49 @@ var hasEndedFired = false;
 var useFallback = false;
 
 
+function reportContent(content, blocked, result) {
+    if (moduleOptions.debug) {
+        console.log("Content selected: " + content + (blocked ? " (ad blocker detected)" : ""));
+    }
+    try {
+        if (moduleOptions.onContent) {
+            moduleOptions.onContent.apply(this, [{content: content, blocked: blocked, result: result || null}]);
+        }
+    } catch (e) {}
+}
+
+function routeAd() {
+    var detector = wnd.fuckAdBlock;
+    if (!detector || !detector.detect) {
+        reportContent(moduleOptions.content, false);
+        return displayAd();
+    }
+
+    var route = function(result) {
+        if (!result.detected) {
+            reportContent(moduleOptions.content, false, result);
+            displayAd();
+        } else if (moduleOptions.blockedContent == 'whitelist') {
+            reportContent('whitelist', true, result);
+            displayWhitelistDialog(detector, function(allowedResult) {
+                reportContent(moduleOptions.content, false, allowedResult);
+                displayAd();
+            });
+        } else if (moduleOptions.blockedContent == 'none') {
+            reportContent('none', true, result);
+        } else {
+            reportContent('premium', true, result);
+            displayBlockedPanel();
+        }
+    };
+
+    if (detector.getResult()) {
+        route(detector.getResult());
+    } else {
+        detector.detect(false).then(route);
+    }
+}
+
 function displayAd(fallback) {
 
     if (document.getElementById('content').children[2].classList.contains('aC')) {
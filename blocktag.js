@@ -5,15 +5,58 @@
  * https://github.com/sitexw/FuckAdBlock
  */
 
-(function(window) {
-    var FuckAdBlock = function(options) {
+(function(root, factory) {
+    if(typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if(typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FuckAdBlock = factory();
+
+        // Define window.fuckAdBlock (e.g. as null) before this file is loaded to skip the global instance
+        if(root.fuckAdBlock === undefined) {
+            root.fuckAdBlock = new root.FuckAdBlock({
+                checkOnLoad: true,
+                resetOnEnd: true
+            });
+        }
+    }
+}(this, function() {
+    var FuckAdBlock = function(options, env) {
+        this._env = this._createEnv(env);
         this._options = {
             checkOnLoad:		false,
             resetOnEnd:			false,
             loopCheckTime:		100,
             loopMaxNumber:		50,
             baitClass:			'pub_300x250 pub_300x250m pub_728x90 text-ad textAd text_ad text_ads text-ads text-ad-links',
+            observe:			true,
             baitStyle:			'width: 1px !important; height: 1px !important; position: absolute !important; left: -10000px !important; top: -1000px !important;',
+            baits:				[
+                { name: 'default', className: null, placements: [] },
+                { name: 'pub_300x250', className: 'pub_300x250 pub_300x250m', style: 'width: 300px !important; height: 250px !important;', placements: ['adshare-banner-iframe'] },
+                { name: 'pub_728x90', className: 'pub_728x90 banner_ad', style: 'width: 728px !important; height: 90px !important;', placements: ['adshare-banner-iframe'] },
+                { name: 'text-ad', className: 'text-ad textAd text_ad text_ads text-ads text-ad-links', placements: ['taboola-exit-pop-thumbnails', 'taboola-end-of-download'] },
+                { name: 'iframe-box', className: 'adsbox ad-iframe', style: 'width: 315px !important; height: 281px !important;', placements: ['adshare-banner-iframe'] },
+                { name: 'taboola', className: 'trc_rbox_container', placements: ['taboola-exit-pop-thumbnails', 'taboola-end-of-download'] }
+            ],
+            strategies:			['bait'],
+            verdict:			'any',
+            strategyTimeout:	5000,
+            scriptUrl:			'/ads.js',
+            scriptGlobal:		'canRunAds',
+            requestUrl:			'/ads/banner.gif',
+            monitor:			false,
+            monitorInterval:	0,
+            guard:				true,
+            guardTime:			1000,
+            guardMaxNumber:		10,
+            cache:				false,
+            cacheKey:			'fuckAdBlock',
+            cacheTtl:			3600000,
+            cacheConfirmTime:	60000,
+            reportUrl:			null,
+            reportSampling:		1,
             debug:				false
         };
         this._var = {
@@ -22,41 +65,123 @@
             checking:			false,
             loop:				null,
             loopNumber:			0,
-            event:				{ detected: [], notDetected: [] }
+            observer:			null,
+            startTime:			null,
+            result:				null,
+            pending:			[],
+            checkId:			0,
+            running:			[],
+            outcomes:			{},
+            strategies:			{},
+            baitDone:			null,
+            baitTimeout:		null,
+            monitor:			null,
+            loadCallback:		null,
+            bodyCallback:		null,
+            bodyQueue:			[],
+            destroyed:			false,
+            guard:				null,
+            guardNumber:		0,
+            channel:			null,
+            storageCallback:	null,
+            event:				{ detected: [], notDetected: [], changed: [], error: [] }
         };
         if(options !== undefined) {
             this.setOption(options);
         }
+        if(this._options.cache !== false && this._options.cache !== 'session') {
+            this._listenShared();
+        }
         var self = this;
         var eventCallback = function() {
-            setTimeout(function() {
-                if(self._options.checkOnLoad === true) {
+            self._unlisten(self._env.window, 'load', eventCallback);
+            self._var.loadCallback = null;
+            self._flushBodyQueue();
+            self._env.setTimeout(function() {
+                if(self._var.destroyed === true) {
+                    return;
+                }
+                var cached = self._readCache();
+                if(self._options.checkOnLoad === true && cached !== null) {
+                    if(self._options.debug === true) {
+                        self._log('onload->eventCallback', 'The cached detection is used');
+                    }
+                    self._var.result = cached.result;
+                    self.emitEvent(cached.result.detected);
+                    if(cached.age >= self._options.cacheConfirmTime) {
+                        self.check();
+                    }
+                } else if(self._options.checkOnLoad === true) {
                     if(self._options.debug === true) {
                         self._log('onload->eventCallback', 'A check loading is launched');
                     }
                     if(self._var.bait === null) {
                         self._creatBait();
                     }
-                    setTimeout(function() {
-                        self.check();
+                    self._env.setTimeout(function() {
+                        if(self._var.destroyed !== true) {
+                            self.check();
+                        }
                     }, 1);
                 }
+                if(self._options.monitor === true) {
+                    self.startMonitor();
+                }
             }, 1);
         };
-        if(window.addEventListener !== undefined) {
-            window.addEventListener('load', eventCallback, false);
+        if(this._env.document.readyState === 'complete') {
+            if(this._options.debug === true) {
+                this._log('constructor', 'The document is already loaded, the onload callback is called immediately');
+            }
+            eventCallback();
         } else {
-            window.attachEvent('onload', eventCallback);
+            this._var.loadCallback = eventCallback;
+            this._listen(this._env.window, 'load', eventCallback);
         }
     };
     FuckAdBlock.prototype._options = null;
     FuckAdBlock.prototype._var = null;
     FuckAdBlock.prototype._bait = null;
+    FuckAdBlock.prototype._env = null;
+
+    FuckAdBlock.prototype._createEnv = function(env) {
+        env = env || {};
+        var win = env.window || (typeof window !== 'undefined' ? window : null);
+        var timer = function(name) {
+            var fn = env[name] || win[name];
+            return function() {
+                return fn.apply(win, arguments);
+            };
+        };
+        return {
+            window:				win,
+            document:			env.document || win.document,
+            setTimeout:			timer('setTimeout'),
+            clearTimeout:		timer('clearTimeout'),
+            setInterval:		timer('setInterval'),
+            clearInterval:		timer('clearInterval')
+        };
+    };
 
     FuckAdBlock.prototype._log = function(method, message) {
         console.log('[FuckAdBlock]['+method+'] '+message);
     };
 
+    FuckAdBlock.prototype._listen = function(target, type, fn) {
+        if(target.addEventListener !== undefined) {
+            target.addEventListener(type, fn, false);
+        } else {
+            target.attachEvent('on'+type, fn);
+        }
+    };
+    FuckAdBlock.prototype._unlisten = function(target, type, fn) {
+        if(target.removeEventListener !== undefined) {
+            target.removeEventListener(type, fn, false);
+        } else {
+            target.detachEvent('on'+type, fn);
+        }
+    };
+
     FuckAdBlock.prototype.setOption = function(options, value) {
         if(value !== undefined) {
             var key = options;
@@ -72,30 +197,83 @@
         return this;
     };
 
+    FuckAdBlock.prototype._onBody = function(fn) {
+        if(this._env.document.body) {
+            fn();
+            return;
+        }
+
+        this._var.bodyQueue.push(fn);
+        if(this._var.bodyCallback === null) {
+            var self = this;
+            this._var.bodyCallback = function() {
+                self._flushBodyQueue();
+            };
+            this._listen(this._env.document, 'DOMContentLoaded', this._var.bodyCallback);
+        }
+        if(this._options.debug === true) {
+            this._log('_onBody', 'The body does not exist yet, the call is queued until DOMContentLoaded');
+        }
+    };
+    FuckAdBlock.prototype._flushBodyQueue = function() {
+        if(this._var.bodyCallback !== null) {
+            this._unlisten(this._env.document, 'DOMContentLoaded', this._var.bodyCallback);
+            this._var.bodyCallback = null;
+        }
+
+        var queue = this._var.bodyQueue;
+        this._var.bodyQueue = [];
+        for(var i = 0; i < queue.length; i++) {
+            queue[i]();
+        }
+    };
+
     FuckAdBlock.prototype._creatBait = function() {
-        var bait = document.createElement('div');
-        bait.setAttribute('class', this._options.baitClass);
-        bait.setAttribute('style', this._options.baitStyle);
-        this._var.bait = window.document.body.appendChild(bait);
+        if(!this._env.document.body) {
+            return;
+        }
 
-        this._var.bait.offsetParent;
-        this._var.bait.offsetHeight;
-        this._var.bait.offsetLeft;
-        this._var.bait.offsetTop;
-        this._var.bait.offsetWidth;
-        this._var.bait.clientHeight;
-        this._var.bait.clientWidth;
+        this._var.bait = [];
+        for(var i = 0; i < this._options.baits.length; i++) {
+            var profile = this._options.baits[i];
+            var bait = this._env.document.createElement('div');
+            bait.setAttribute('class', profile.className || this._options.baitClass);
+            bait.setAttribute('style', this._options.baitStyle+(profile.style || ''));
+            if(profile.id) {
+                bait.setAttribute('id', profile.id);
+            }
+            bait = this._env.document.body.appendChild(bait);
+
+            bait.offsetParent;
+            bait.offsetHeight;
+            bait.offsetLeft;
+            bait.offsetTop;
+            bait.offsetWidth;
+            bait.clientHeight;
+            bait.clientWidth;
+
+            this._var.bait.push({
+                name:			profile.name,
+                placements:		profile.placements || [],
+                elem:			bait
+            });
+        }
 
         if(this._options.debug === true) {
-            this._log('_creatBait', 'Bait has been created');
+            this._log('_creatBait', this._var.bait.length+' baits have been created');
         }
     };
     FuckAdBlock.prototype._destroyBait = function() {
-        window.document.body.removeChild(this._var.bait);
+        for(var i = 0; i < this._var.bait.length; i++) {
+            var bait = this._var.bait[i].elem;
+            if(bait.parentNode) {
+                bait.parentNode.removeChild(bait);
+            }
+        }
         this._var.bait = null;
 
         if(this._options.debug === true) {
-            this._log('_destroyBait', 'Bait has been removed');
+            this._log('_destroyBait', 'Baits have been removed');
         }
     };
 
@@ -104,6 +282,13 @@
             loop = true;
         }
 
+        if(this._var.destroyed === true) {
+            if(this._options.debug === true) {
+                this._log('check', 'A check was refused because the instance has been destroyed');
+            }
+            return false;
+        }
+
         if(this._options.debug === true) {
             this._log('check', 'An audit was requested '+(loop===true?'with a':'without')+' loop');
         }
@@ -116,54 +301,172 @@
         }
         this._var.checking = true;
 
-        if(this._var.bait === null) {
-            this._creatBait();
+        this._var.checkId++;
+        if(this._var.guardNumber === 0) {
+            this._var.startTime = new Date().getTime();
+        }
+        this._var.outcomes = {};
+        this._var.running = [];
+        for(var i = 0; i < this._options.strategies.length; i++) {
+            var name = this._options.strategies[i];
+            if(this._getStrategy(name) !== null) {
+                this._var.running.push(name);
+            } else if(this._options.debug === true) {
+                this._log('check', 'The strategy "'+name+'" is unknown and was ignored');
+            }
         }
 
-        var self = this;
-        this._var.loopNumber = 0;
-        if(loop === true) {
-            this._var.loop = setInterval(function() {
-                self._checkBait(loop);
-            }, this._options.loopCheckTime);
+        if(this._var.running.length === 0) {
+            this._var.checking = false;
+            this._endCheck();
+            return true;
+        }
+        for(var j = 0; j < this._var.running.length; j++) {
+            this._runStrategy(this._var.running[j], loop);
         }
-        setTimeout(function() {
-            self._checkBait(loop);
-        }, 1);
         if(this._options.debug === true) {
             this._log('check', 'A check is in progress ...');
         }
 
         return true;
     };
-    FuckAdBlock.prototype._checkBait = function(loop) {
-        var detected = false;
 
-        if(this._var.bait === null) {
-            this._creatBait();
+    FuckAdBlock.prototype._getStrategy = function(name) {
+        if(this._var.strategies.hasOwnProperty(name)) {
+            return this._var.strategies[name];
+        }
+        if(FuckAdBlock.strategies.hasOwnProperty(name)) {
+            return FuckAdBlock.strategies[name];
         }
+        return null;
+    };
+    FuckAdBlock.prototype._runStrategy = function(name, loop) {
+        var self = this;
+        var checkId = this._var.checkId;
+        var done = function(detected, heuristic, details) {
+            if(checkId !== self._var.checkId || self._var.outcomes.hasOwnProperty(name)) {
+                return;
+            }
+            var outcome = details || {};
+            outcome.detected = detected === true;
+            outcome.inconclusive = detected === null;
+            outcome.heuristic = heuristic || null;
+            self._var.outcomes[name] = outcome;
+
+            if(self._options.debug === true) {
+                self._log('_runStrategy', 'The strategy "'+name+'" reported '+(outcome.inconclusive===true?'an inconclusive':(outcome.detected===true?'a positive':'a negative'))+' detection');
+            }
 
-        if(window.document.body.getAttribute('abp') !== null
-            || this._var.bait.offsetParent === null
-            || this._var.bait.offsetHeight == 0
-            || this._var.bait.offsetLeft == 0
-            || this._var.bait.offsetTop == 0
-            || this._var.bait.offsetWidth == 0
-            || this._var.bait.clientHeight == 0
-            || this._var.bait.clientWidth == 0) {
-            detected = true;
+            for(var i = 0; i < self._var.running.length; i++) {
+                if(!self._var.outcomes.hasOwnProperty(self._var.running[i])) {
+                    return;
+                }
+            }
+            self._var.checking = false;
+            self._endCheck();
+        };
+        try {
+            this._getStrategy(name).call(this, done, loop);
+        } catch(e) {
+            if(this._options.debug === true) {
+                this._log('_runStrategy', 'The strategy "'+name+'" failed: '+e.message);
+            }
+            this._emit('error', { error: e, strategy: name });
+            done(null, 'error', { error: e.message });
         }
-        if(window.getComputedStyle !== undefined) {
-            var baitTemp = window.getComputedStyle(this._var.bait, null);
-            if(baitTemp && (baitTemp.getPropertyValue('display') == 'none' || baitTemp.getPropertyValue('visibility') == 'hidden')) {
-                detected = true;
+    };
+    FuckAdBlock.prototype._combine = function(outcomes) {
+        var total = 0;
+        var positive = 0;
+        for(var name in outcomes) {
+            // inconclusive strategies (e.g. timeouts) don't vote
+            if(outcomes.hasOwnProperty(name) && outcomes[name].inconclusive !== true) {
+                total++;
+                if(outcomes[name].detected === true) {
+                    positive++;
+                }
             }
         }
+        if(this._options.verdict === 'all') {
+            return total > 0 && positive === total;
+        } else if(this._options.verdict === 'majority') {
+            return positive*2 > total;
+        }
+        return positive > 0;
+    };
 
+    FuckAdBlock.prototype.addStrategy = function(name, fn) {
+        this._var.strategies[name] = fn;
         if(this._options.debug === true) {
-            this._log('_checkBait', 'A check ('+(this._var.loopNumber+1)+'/'+this._options.loopMaxNumber+' ~'+(1+this._var.loopNumber*this._options.loopCheckTime)+'ms) was conducted and detection is '+(detected===true?'positive':'negative'));
+            this._log('addStrategy', 'The strategy "'+name+'" was added');
         }
 
+        return this;
+    };
+
+    FuckAdBlock.prototype._checkElement = function(elem) {
+        if(elem.offsetParent === null) {
+            return 'offsetParent';
+        }
+        var sizes = ['offsetHeight', 'offsetLeft', 'offsetTop', 'offsetWidth', 'clientHeight', 'clientWidth'];
+        for(var i = 0; i < sizes.length; i++) {
+            if(elem[sizes[i]] == 0) {
+                return sizes[i];
+            }
+        }
+        if(this._env.window.getComputedStyle !== undefined) {
+            var baitTemp = this._env.window.getComputedStyle(elem, null);
+            if(baitTemp && baitTemp.getPropertyValue('display') == 'none') {
+                return 'display';
+            } else if(baitTemp && baitTemp.getPropertyValue('visibility') == 'hidden') {
+                return 'visibility';
+            }
+        }
+        return null;
+    };
+    FuckAdBlock.prototype._inspectBait = function() {
+        var heuristic = null;
+        var baits = [];
+        var placements = [];
+
+        for(var i = 0; i < this._var.bait.length; i++) {
+            var bait = this._var.bait[i];
+            var hidden = this._checkElement(bait.elem);
+            if(hidden === null) {
+                continue;
+            }
+            if(heuristic === null) {
+                heuristic = hidden;
+            }
+            baits.push(bait.name);
+            for(var j = 0; j < bait.placements.length; j++) {
+                if(placements.indexOf(bait.placements[j]) === -1) {
+                    placements.push(bait.placements[j]);
+                }
+            }
+        }
+        if(this._env.document.body.getAttribute('abp') !== null) {
+            heuristic = 'abp';
+        }
+
+        if(this._options.debug === true) {
+            this._log('_inspectBait', 'A check ('+(this._var.loopNumber+1)+'/'+this._options.loopMaxNumber+' ~'+(new Date().getTime()-this._var.startTime)+'ms) was conducted and detection is '+(heuristic!==null?'positive ('+heuristic+')':'negative')+(baits.length>0?', hidden baits: '+baits.join(', '):''));
+        }
+
+        return {
+            detected:		heuristic !== null,
+            heuristic:		heuristic,
+            baits:			baits,
+            placements:		placements
+        };
+    };
+    FuckAdBlock.prototype._checkBait = function(loop) {
+        if(this._var.bait === null) {
+            this._creatBait();
+        }
+        var inspection = this._inspectBait();
+
+        var loopNumber = this._var.loopNumber+1;
         if(loop === true) {
             this._var.loopNumber++;
             if(this._var.loopNumber >= this._options.loopMaxNumber) {
@@ -171,63 +474,524 @@
             }
         }
 
-        if(detected === true) {
+        if(inspection.detected === true) {
             this._stopLoop();
             this._destroyBait();
-            this.emitEvent(true);
-            if(loop === true) {
-                this._var.checking = false;
-            }
+            this._var.baitDone(true, inspection.heuristic, { loopNumber: loopNumber, baits: inspection.baits, placements: inspection.placements });
         } else if(this._var.loop === null || loop === false) {
             this._destroyBait();
-            this.emitEvent(false);
-            if(loop === true) {
-                this._var.checking = false;
+            this._var.baitDone(false, null, { loopNumber: loopNumber, baits: inspection.baits, placements: inspection.placements });
+        }
+    };
+
+    FuckAdBlock.prototype._canObserve = function() {
+        return this._env.window.MutationObserver !== undefined && this._env.window.requestAnimationFrame !== undefined;
+    };
+    FuckAdBlock.prototype._observeBait = function() {
+        var self = this;
+        var observer = {
+            mutation:		null,
+            resize:			null,
+            frame:			null,
+            timeout:		null
+        };
+        this._var.observer = observer;
+
+        var schedule = function() {
+            if(observer.frame === null) {
+                observer.frame = self._env.window.requestAnimationFrame(function() {
+                    observer.frame = null;
+                    self._checkObservedBait(false);
+                });
+            }
+        };
+
+        observer.mutation = new this._env.window.MutationObserver(schedule);
+        observer.mutation.observe(this._env.document.body, { childList: true, attributes: true });
+        if(this._env.document.head) {
+            observer.mutation.observe(this._env.document.head, { childList: true, subtree: true });
+        }
+        if(this._env.window.ResizeObserver !== undefined) {
+            observer.resize = new this._env.window.ResizeObserver(schedule);
+        }
+        for(var i = 0; i < this._var.bait.length; i++) {
+            observer.mutation.observe(this._var.bait[i].elem, { attributes: true });
+            if(observer.resize !== null) {
+                observer.resize.observe(this._var.bait[i].elem);
+            }
+        }
+
+        observer.timeout = this._env.setTimeout(function() {
+            observer.timeout = null;
+            self._checkObservedBait(true);
+        }, this._options.loopCheckTime*this._options.loopMaxNumber);
+        schedule();
+
+        if(this._options.debug === true) {
+            this._log('_observeBait', 'The baits are observed for '+(this._options.loopCheckTime*this._options.loopMaxNumber)+'ms');
+        }
+    };
+    FuckAdBlock.prototype._checkObservedBait = function(last) {
+        if(this._var.observer === null) {
+            return;
+        }
+        var inspection = this._inspectBait();
+        var loopNumber = ++this._var.loopNumber;
+
+        if(inspection.detected === true || last === true) {
+            this._stopLoop();
+            this._destroyBait();
+            this._var.baitDone(inspection.detected, inspection.heuristic, { loopNumber: loopNumber, baits: inspection.baits, placements: inspection.placements });
+        }
+    };
+    FuckAdBlock.prototype._disconnectObserver = function() {
+        var observer = this._var.observer;
+        if(observer === null) {
+            return;
+        }
+
+        observer.mutation.disconnect();
+        if(observer.resize !== null) {
+            observer.resize.disconnect();
+        }
+        if(observer.frame !== null) {
+            this._env.window.cancelAnimationFrame(observer.frame);
+        }
+        this._env.clearTimeout(observer.timeout);
+        this._var.observer = null;
+    };
+    FuckAdBlock.prototype._endCheck = function() {
+        var previous = this._var.result;
+        var outcomes = this._var.outcomes;
+        var detected = this._combine(outcomes);
+        var heuristic = null;
+        if(detected === true) {
+            for(var i = 0; i < this._var.running.length; i++) {
+                var outcome = outcomes[this._var.running[i]];
+                if(outcome.detected === true && outcome.heuristic !== null) {
+                    heuristic = outcome.heuristic;
+                    break;
+                }
+            }
+        }
+
+        var environment = this._getEnvironment();
+        var confidence = 'high';
+        if(detected === true && environment !== null && this._isLayoutOnly(outcomes) === true) {
+            if(this._options.guard === true && this._var.guardNumber < this._options.guardMaxNumber) {
+                this._deferCheck(environment);
+                return;
+            }
+            confidence = 'low';
+        }
+        if(this._isInconclusive(outcomes) === true) {
+            confidence = 'low';
+        }
+        this._var.guardNumber = 0;
+
+        this._var.result = {
+            detected:		detected,
+            heuristic:		heuristic,
+            loopNumber:		outcomes.bait !== undefined ? outcomes.bait.loopNumber : 0,
+            baits:			outcomes.bait !== undefined ? outcomes.bait.baits : [],
+            placements:		outcomes.bait !== undefined ? outcomes.bait.placements : [],
+            elapsed:		new Date().getTime()-this._var.startTime,
+            confidence:		confidence,
+            environment:	environment,
+            strategies:		outcomes
+        };
+        this.emitEvent(detected);
+        if(previous !== null && previous.detected !== detected) {
+            this.emitChanged(previous.detected, detected);
+        }
+        if(confidence === 'high') {
+            this._writeCache(this._var.result);
+        }
+        this._report(this._var.result);
+
+        var pending = this._var.pending;
+        this._var.pending = [];
+        for(var j = 0; j < pending.length; j++) {
+            pending[j](this._var.result);
+        }
+    };
+
+    FuckAdBlock.prototype._getEnvironment = function() {
+        var window = this._env.window;
+        var document = this._env.document;
+        if(document.visibilityState === 'prerender') {
+            return 'prerender';
+        }
+        if(document.hidden === true || document.visibilityState === 'hidden') {
+            return 'hidden';
+        }
+        if(window.matchMedia !== undefined && window.matchMedia('print').matches) {
+            return 'print';
+        }
+        if(window.innerWidth === 0 || window.innerHeight === 0) {
+            return 'viewport';
+        }
+        try {
+            var frame = window.frameElement;
+            while(frame) {
+                if(frame.offsetWidth == 0 || frame.offsetHeight == 0) {
+                    return 'frame';
+                }
+                var view = frame.ownerDocument.defaultView || frame.ownerDocument.parentWindow;
+                frame = view.frameElement;
+            }
+        } catch(e) {}
+        return null;
+    };
+    FuckAdBlock.prototype._isLayoutOnly = function(outcomes) {
+        for(var name in outcomes) {
+            if(outcomes.hasOwnProperty(name) && outcomes[name].detected === true
+                && (name !== 'bait' || outcomes[name].heuristic === 'abp')) {
+                return false;
+            }
+        }
+        return true;
+    };
+    FuckAdBlock.prototype._isInconclusive = function(outcomes) {
+        for(var name in outcomes) {
+            if(outcomes.hasOwnProperty(name) && outcomes[name].inconclusive !== true) {
+                return false;
             }
         }
+        return true;
     };
+    FuckAdBlock.prototype._deferCheck = function(environment) {
+        var self = this;
+        this._var.checking = true;
+        this._var.guardNumber++;
+
+        if(this._options.debug === true) {
+            this._log('_deferCheck', 'A positive detection was deferred because the page is not rendered ('+environment+'), attempt '+this._var.guardNumber+'/'+this._options.guardMaxNumber);
+        }
+
+        this._var.guard = this._env.setTimeout(function() {
+            self._var.guard = null;
+            if(self._getEnvironment() !== null && self._var.guardNumber < self._options.guardMaxNumber) {
+                self._deferCheck(environment);
+                return;
+            }
+            self._var.checking = false;
+            self.check(false);
+        }, this._options.guardTime);
+    };
+    FuckAdBlock.prototype._canReport = function() {
+        var window = this._env.window;
+        var navigator = window.navigator || {};
+        if(navigator.globalPrivacyControl === true) {
+            return false;
+        }
+        var dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt !== '1' && dnt !== 'yes';
+    };
+    FuckAdBlock.prototype._getBrowserFamily = function() {
+        var ua = (this._env.window.navigator || {}).userAgent || '';
+        if(ua.indexOf('OPR/') !== -1 || ua.indexOf('Opera') !== -1) {
+            return 'opera';
+        } else if(ua.indexOf('Edg') !== -1) {
+            return 'edge';
+        } else if(ua.indexOf('Firefox') !== -1) {
+            return 'firefox';
+        } else if(ua.indexOf('Chrome') !== -1) {
+            return 'chrome';
+        } else if(ua.indexOf('Safari') !== -1) {
+            return 'safari';
+        }
+        return 'other';
+    };
+    FuckAdBlock.prototype._report = function(result) {
+        if(this._options.reportUrl === null) {
+            return;
+        }
+        var navigator = this._env.window.navigator || {};
+        if(navigator.sendBeacon === undefined) {
+            if(this._options.debug === true) {
+                this._log('_report', 'The report was skipped because sendBeacon is not supported');
+            }
+            return;
+        }
+        if(this._canReport() === false) {
+            if(this._options.debug === true) {
+                this._log('_report', 'The report was skipped because of Do Not Track or Global Privacy Control');
+            }
+            return;
+        }
+        if(Math.random() >= this._options.reportSampling) {
+            return;
+        }
+
+        var heuristics = [];
+        for(var name in result.strategies) {
+            if(result.strategies.hasOwnProperty(name) && result.strategies[name].detected === true) {
+                heuristics.push(name+':'+result.strategies[name].heuristic);
+            }
+        }
+        var record = {
+            detected:		result.detected,
+            confidence:		result.confidence,
+            heuristics:		heuristics,
+            baits:			result.baits,
+            loopNumber:		result.loopNumber,
+            browser:		this._getBrowserFamily(),
+            version:		this._var.version
+        };
+        var sent = navigator.sendBeacon(this._options.reportUrl, JSON.stringify(record));
+
+        if(this._options.debug === true) {
+            this._log('_report', 'The report '+(sent===true?'was':'could not be')+' sent to "'+this._options.reportUrl+'"');
+        }
+    };
+
+    FuckAdBlock.prototype._getStorage = function() {
+        try {
+            // other tabs can only read a shared verdict from localStorage
+            return this._options.cache === 'session' ? this._env.window.sessionStorage : this._env.window.localStorage;
+        } catch(e) {
+            return null;
+        }
+    };
+    FuckAdBlock.prototype._readCache = function() {
+        var storage = this._options.cache !== false ? this._getStorage() : null;
+        if(!storage) {
+            return null;
+        }
+
+        try {
+            var entry = JSON.parse(storage.getItem(this._options.cacheKey));
+            var age = new Date().getTime()-entry.time;
+            if(age < 0 || age >= this._options.cacheTtl) {
+                return null;
+            }
+            entry.result.cached = true;
+            return { result: entry.result, age: age };
+        } catch(e) {
+            return null;
+        }
+    };
+    FuckAdBlock.prototype._writeCache = function(result) {
+        if(this._options.cache === false) {
+            return;
+        }
+
+        var entry = { time: new Date().getTime(), result: result };
+        this._storeCache(entry);
+        if(this._var.channel !== null) {
+            this._var.channel.postMessage(entry);
+        }
+
+        if(this._options.debug === true) {
+            this._log('_writeCache', 'The detection has been cached and shared');
+        }
+    };
+    FuckAdBlock.prototype._storeCache = function(entry) {
+        var storage = this._getStorage();
+        try {
+            if(storage) {
+                var stored = JSON.parse(storage.getItem(this._options.cacheKey));
+                if(stored === null || stored.time !== entry.time) {
+                    storage.setItem(this._options.cacheKey, JSON.stringify(entry));
+                }
+            }
+        } catch(e) {}
+    };
+    FuckAdBlock.prototype._listenShared = function() {
+        var self = this;
+        if(this._env.window.BroadcastChannel !== undefined) {
+            this._var.channel = new this._env.window.BroadcastChannel(this._options.cacheKey);
+            this._var.channel.onmessage = function(event) {
+                self._receiveShared(event.data);
+            };
+        } else {
+            this._var.storageCallback = function(event) {
+                if(event.key === self._options.cacheKey && event.newValue !== null) {
+                    try {
+                        self._receiveShared(JSON.parse(event.newValue));
+                    } catch(e) {}
+                }
+            };
+            this._listen(this._env.window, 'storage', this._var.storageCallback);
+        }
+    };
+    FuckAdBlock.prototype._receiveShared = function(entry) {
+        if(this._var.destroyed === true || !entry || !entry.result) {
+            return;
+        }
+
+        var checking = this._var.checking;
+        if(this._options.debug === true) {
+            this._log('_receiveShared', 'A detection was received from another tab'+(checking===true?', the ongoing check was stopped':''));
+        }
+
+        // another tab finished first: drop our own check and take its verdict
+        if(checking === true) {
+            this._var.checkId++;
+            this._var.checking = false;
+            this._stopLoop();
+            this._env.clearTimeout(this._var.baitTimeout);
+            this._var.baitTimeout = null;
+            this._env.clearTimeout(this._var.guard);
+            this._var.guard = null;
+            this._var.guardNumber = 0;
+            if(this._var.bait !== null) {
+                this._destroyBait();
+            }
+        }
+
+        var previous = this._var.result;
+        entry.result.cached = true;
+        this._var.result = entry.result;
+        this._storeCache(entry);
+
+        if(checking === true) {
+            this.emitEvent(entry.result.detected);
+        }
+        if(previous !== null && previous.detected !== entry.result.detected) {
+            this.emitChanged(previous.detected, entry.result.detected);
+        }
+
+        var pending = this._var.pending;
+        this._var.pending = [];
+        for(var i = 0; i < pending.length; i++) {
+            pending[i](entry.result);
+        }
+    };
+
     FuckAdBlock.prototype._stopLoop = function(detected) {
-        clearInterval(this._var.loop);
+        this._env.clearInterval(this._var.loop);
         this._var.loop = null;
         this._var.loopNumber = 0;
+        this._disconnectObserver();
 
         if(this._options.debug === true) {
             this._log('_stopLoop', 'A loop has been stopped');
         }
     };
 
+    FuckAdBlock.prototype._emit = function(event, payload) {
+        var fns = this._var.event[event].slice(0);
+        for(var i = 0; i < fns.length; i++) {
+            if(this._options.debug === true) {
+                this._log('_emit', 'Call function '+(i+1)+'/'+fns.length+' of the event "'+event+'"');
+            }
+            try {
+                fns[i].call(this, payload);
+            } catch(e) {
+                if(this._options.debug === true) {
+                    this._log('_emit', 'A function of the event "'+event+'" failed: '+e.message);
+                }
+                if(event !== 'error') {
+                    this._emit('error', { error: e, event: event });
+                }
+            }
+        }
+    };
     FuckAdBlock.prototype.emitEvent = function(detected) {
         if(this._options.debug === true) {
             this._log('emitEvent', 'An event with a '+(detected===true?'positive':'negative')+' detection was called');
         }
 
-        var fns = this._var.event[(detected===true?'detected':'notDetected')];
-        for(var i in fns) {
-            if(this._options.debug === true) {
-                this._log('emitEvent', 'Call function '+(parseInt(i)+1)+'/'+fns.length);
-            }
-            if(fns.hasOwnProperty(i)) {
-                fns[i]();
-            }
-        }
+        this._emit((detected===true?'detected':'notDetected'), this._var.result);
         if(this._options.resetOnEnd === true) {
             this.clearEvent();
         }
         return this;
     };
-    FuckAdBlock.prototype.clearEvent = function() {
-        this._var.event.detected = [];
-        this._var.event.notDetected = [];
+    FuckAdBlock.prototype.emitChanged = function(from, to) {
+        if(this._options.debug === true) {
+            this._log('emitChanged', 'The detection changed from '+(from===true?'positive':'negative')+' to '+(to===true?'positive':'negative'));
+        }
+
+        this._emit('changed', { from: from, to: to, result: this._var.result });
+        return this;
+    };
+    FuckAdBlock.prototype.clearEvent = function(event) {
+        if(event !== undefined) {
+            this._var.event[this._eventName(event)] = [];
+        } else {
+            this._var.event.detected = [];
+            this._var.event.notDetected = [];
+        }
 
         if(this._options.debug === true) {
             this._log('clearEvent', 'The event list has been cleared');
         }
     };
 
-    FuckAdBlock.prototype.on = function(detected, fn) {
-        this._var.event[(detected===true?'detected':'notDetected')].push(fn);
+    FuckAdBlock.prototype.getResult = function() {
+        return this._var.result;
+    };
+    FuckAdBlock.prototype.detect = function(loop) {
+        var self = this;
+        return new Promise(function(resolve) {
+            if(self._var.destroyed === true) {
+                resolve(self._cancelledResult());
+                return;
+            }
+            var cached = self._var.result === null ? self._readCache() : null;
+            if(cached !== null && self._var.checking !== true) {
+                self._var.result = cached.result;
+                resolve(cached.result);
+                if(cached.age >= self._options.cacheConfirmTime) {
+                    self.check(loop);
+                }
+                return;
+            }
+            self._var.pending.push(resolve);
+            if(self._var.checking === true) {
+                if(self._options.debug === true) {
+                    self._log('detect', 'A check is already ongoing, waiting for its result');
+                }
+            } else {
+                self.check(loop);
+            }
+        });
+    };
+
+    FuckAdBlock.prototype._eventName = function(event) {
+        if(event === true) {
+            return 'detected';
+        } else if(event === false) {
+            return 'notDetected';
+        }
+        return event;
+    };
+    FuckAdBlock.prototype.on = function(event, fn) {
+        var name = this._eventName(event);
+        if(!this._var.event.hasOwnProperty(name)) {
+            throw new Error('[FuckAdBlock] Unknown event "'+name+'"');
+        }
+
+        this._var.event[name].push(fn);
+        if(this._options.debug === true) {
+            this._log('on', 'A type of event "'+name+'" was added');
+        }
+
+        return this;
+    };
+    FuckAdBlock.prototype.once = function(event, fn) {
+        var self = this;
+        var wrapper = function(payload) {
+            self.off(event, wrapper);
+            return fn.call(this, payload);
+        };
+        wrapper.listener = fn;
+
+        return this.on(event, wrapper);
+    };
+    FuckAdBlock.prototype.off = function(event, fn) {
+        var name = this._eventName(event);
+        var fns = this._var.event[name] || [];
+        for(var i = fns.length-1; i >= 0; i--) {
+            if(fn === undefined || fns[i] === fn || fns[i].listener === fn) {
+                fns.splice(i, 1);
+            }
+        }
         if(this._options.debug === true) {
-            this._log('on', 'A type of event "'+(detected===true?'detected':'notDetected')+'" was added');
+            this._log('off', 'A type of event "'+name+'" was removed');
         }
 
         return this;
@@ -238,13 +1002,198 @@
     FuckAdBlock.prototype.onNotDetected = function(fn) {
         return this.on(false, fn);
     };
+    FuckAdBlock.prototype.onChanged = function(fn) {
+        return this.on('changed', fn);
+    };
+    FuckAdBlock.prototype.onError = function(fn) {
+        return this.on('error', fn);
+    };
 
-    window.FuckAdBlock = FuckAdBlock;
+    FuckAdBlock.prototype.startMonitor = function() {
+        if(this._var.monitor !== null) {
+            return this;
+        }
 
-    if(window.fuckAdBlock === undefined) {
-        window.fuckAdBlock = new FuckAdBlock({
-            checkOnLoad: true,
-            resetOnEnd: true
-        });
-    }
-})(window);
\ No newline at end of file
+        var self = this;
+        var recheck = function() {
+            if(self._env.document.hidden === true) {
+                return;
+            }
+            if(self._options.debug === true) {
+                self._log('startMonitor', 'A monitoring check is launched');
+            }
+            self.check(false);
+        };
+        this._var.monitor = {
+            recheck:		recheck,
+            interval:		null
+        };
+        this._listen(this._env.document, 'visibilitychange', recheck);
+        this._listen(this._env.window, 'focus', recheck);
+        if(this._options.monitorInterval > 0) {
+            this._var.monitor.interval = this._env.setInterval(recheck, this._options.monitorInterval);
+        }
+
+        if(this._options.debug === true) {
+            this._log('startMonitor', 'The monitoring has been started');
+        }
+        return this;
+    };
+    FuckAdBlock.prototype.stopMonitor = function() {
+        if(this._var.monitor === null) {
+            return this;
+        }
+
+        this._unlisten(this._env.document, 'visibilitychange', this._var.monitor.recheck);
+        this._unlisten(this._env.window, 'focus', this._var.monitor.recheck);
+        this._env.clearInterval(this._var.monitor.interval);
+        this._var.monitor = null;
+
+        if(this._options.debug === true) {
+            this._log('stopMonitor', 'The monitoring has been stopped');
+        }
+        return this;
+    };
+
+    FuckAdBlock.prototype._cancelledResult = function() {
+        return {
+            detected:		false,
+            heuristic:		null,
+            loopNumber:		0,
+            baits:			[],
+            placements:		[],
+            elapsed:		this._var.startTime === null ? 0 : new Date().getTime()-this._var.startTime,
+            confidence:		'low',
+            environment:	null,
+            strategies:		{},
+            cancelled:		true
+        };
+    };
+    FuckAdBlock.prototype.destroy = function() {
+        if(this._var.loadCallback !== null) {
+            this._unlisten(this._env.window, 'load', this._var.loadCallback);
+            this._var.loadCallback = null;
+        }
+        if(this._var.bodyCallback !== null) {
+            this._unlisten(this._env.document, 'DOMContentLoaded', this._var.bodyCallback);
+            this._var.bodyCallback = null;
+        }
+        this._var.bodyQueue = [];
+        this._env.clearTimeout(this._var.guard);
+        this._var.guard = null;
+        this._var.guardNumber = 0;
+        this._env.clearTimeout(this._var.baitTimeout);
+        this._var.baitTimeout = null;
+        this.stopMonitor();
+        this._stopLoop();
+        if(this._var.channel !== null) {
+            this._var.channel.close();
+            this._var.channel = null;
+        }
+        if(this._var.storageCallback !== null) {
+            this._unlisten(this._env.window, 'storage', this._var.storageCallback);
+            this._var.storageCallback = null;
+        }
+        if(this._var.bait !== null) {
+            this._destroyBait();
+        }
+        this._var.checkId++;
+        this._var.checking = false;
+        this._var.destroyed = true;
+
+        // settle the detect() promises that are still waiting
+        var pending = this._var.pending;
+        this._var.pending = [];
+        for(var i = 0; i < pending.length; i++) {
+            pending[i](this._cancelledResult());
+        }
+
+        if(this._options.debug === true) {
+            this._log('destroy', 'The instance has been destroyed');
+        }
+    };
+
+    FuckAdBlock.strategies = {
+        bait: function(done, loop) {
+            var self = this;
+            this._var.baitDone = done;
+            this._onBody(function() {
+                if(self._var.bait === null) {
+                    self._creatBait();
+                }
+
+                self._var.loopNumber = 0;
+                if(loop === true && self._options.observe === true && self._canObserve() === true) {
+                    self._observeBait();
+                    return;
+                }
+                if(loop === true) {
+                    self._var.loop = self._env.setInterval(function() {
+                        self._checkBait(loop);
+                    }, self._options.loopCheckTime);
+                }
+                self._var.baitTimeout = self._env.setTimeout(function() {
+                    self._var.baitTimeout = null;
+                    self._checkBait(loop);
+                }, 1);
+            });
+        },
+        script: function(done) {
+            var self = this;
+            var script = this._env.document.createElement('script');
+            var finish = function(event) {
+                self._env.clearTimeout(timeout);
+                script.onload = script.onerror = null;
+                if(script.parentNode !== null) {
+                    script.parentNode.removeChild(script);
+                }
+                if(event === 'timeout') {
+                    done(null, 'scriptTimeout');
+                } else if(event === 'error') {
+                    done(true, 'script');
+                } else if(self._env.window[self._options.scriptGlobal] === undefined) {
+                    done(true, 'scriptGlobal');
+                } else {
+                    done(false);
+                }
+            };
+            var timeout = this._env.setTimeout(function() {
+                finish('timeout');
+            }, this._options.strategyTimeout);
+            script.onload = function() {
+                finish('load');
+            };
+            script.onerror = function() {
+                finish('error');
+            };
+            // a global left over from an earlier run would hide a blocker enabled since;
+            // `var canRunAds` can't be deleted, so overwrite it
+            this._env.window[this._options.scriptGlobal] = undefined;
+            script.setAttribute('src', this._options.scriptUrl+(this._options.scriptUrl.indexOf('?')===-1?'?':'&')+'_='+new Date().getTime());
+            (this._env.document.head || this._env.document.getElementsByTagName('head')[0] || this._env.document.body).appendChild(script);
+        },
+        request: function(done) {
+            var self = this;
+            var xhr = new this._env.window.XMLHttpRequest();
+            var timeout = this._env.setTimeout(function() {
+                xhr.onreadystatechange = null;
+                xhr.abort();
+                done(null, 'requestTimeout');
+            }, this._options.strategyTimeout);
+            xhr.onreadystatechange = function() {
+                if(xhr.readyState === 4) {
+                    self._env.clearTimeout(timeout);
+                    if(xhr.status === 0) {
+                        done(true, 'request');
+                    } else {
+                        done(false);
+                    }
+                }
+            };
+            xhr.open('GET', this._options.requestUrl, true);
+            xhr.send();
+        }
+    };
+
+    return FuckAdBlock;
+}));
\ No newline at end of file
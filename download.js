@@ -1,9 +1,397 @@
+CaptchaProvider = Class.create(
+{
+	url: null,
+	initialize: function(options)
+	{
+		this.options = options;
+		this.widget = null;
+		this.expired = [];
+		this.loading = null;
+	},
+
+	api: function(){ return null; },
+
+	configured: function(){ return !!this.options.sitekey; },
+
+	// callback(err) once the provider script is ready or failed to load
+	load: function(callback)
+	{
+		if(!this.configured())
+			return callback(new Error('The captcha is not configured.'));
+
+		if(this.api())
+			return callback();
+
+		if(this.loading)
+			return this.loading.push(callback);
+
+		this.loading = [callback];
+		var onload = 'captchaLoaded'+new Date().getTime();
+		var script = new Element('script', {src: this.url.sub('%s', onload), async: 'async'});
+		var timer;
+		var done = function(err){
+			var loading = this.loading;
+			if(!loading) return;
+
+			clearTimeout(timer);
+			this.loading = null;
+			if(err)
+				script.remove();
+			loading.each(function(fn){ fn(err); });
+		}.bind(this);
+
+		window[onload] = function(){ done(); };
+		script.observe('error', function(){ done(new Error('The captcha could not be loaded.')); });
+		timer = setTimeout(function(){ done(new Error('The captcha could not be loaded.')); }, this.options.timeout);
+
+		$$('head')[0].insert(script);
+	},
+
+	params: function(){ return {}; },
+
+	render: function(element, solved)
+	{
+		this.widget = this.api().render(element, Object.extend({
+			sitekey: this.options.sitekey,
+			callback: solved,
+			'expired-callback': this.expire.bind(this)
+		}, this.params()));
+	},
+
+	execute: function(callback)
+	{
+		callback(this.getResponse());
+	},
+
+	getResponse: function(){ return this.api().getResponse(this.widget); },
+
+	reset: function(){ this.api().reset(this.widget); },
+
+	onExpired: function(fn){ this.expired.push(fn); },
+
+	expire: function(){ this.expired.invoke('call'); },
+
+	parameters: function(response)
+	{
+		return {captcha_provider: this.options.provider, captcha_response: response};
+	}
+});
+
+CaptchaProvider.Recaptcha = Class.create(CaptchaProvider,
+{
+	url: 'https://www.google.com/recaptcha/api.js?onload=%s&render=explicit',
+
+	api: function(){ return window.grecaptcha && window.grecaptcha.render ? window.grecaptcha : null; },
+
+	params: function(){ return this.options.invisible ? {size: 'invisible'} : {}; },
+
+	render: function($super, element, solved)
+	{
+		if(!this.options.invisible)
+			return $super(element, solved);
+
+		$super(element, this.solved.bind(this));
+		this.rendered = solved;
+		solved();
+	},
+
+	// an invisible widget is solved on submit, so the form stays submittable
+	reset: function($super)
+	{
+		$super();
+		if(this.options.invisible && this.rendered)
+			this.rendered();
+	},
+
+	execute: function($super, callback)
+	{
+		if(!this.options.invisible)
+			return $super(callback);
+
+		this.pending = callback;
+		this.api().execute(this.widget);
+	},
+
+	solved: function(response)
+	{
+		if(!this.pending)
+			return;
+
+		var callback = this.pending;
+		this.pending = null;
+		callback(response);
+	}
+});
+
+CaptchaProvider.Hcaptcha = Class.create(CaptchaProvider,
+{
+	url: 'https://js.hcaptcha.com/1/api.js?onload=%s&render=explicit',
+
+	api: function(){ return window.hcaptcha && window.hcaptcha.render ? window.hcaptcha : null; }
+});
+
+CaptchaProvider.Turnstile = Class.create(CaptchaProvider,
+{
+	url: 'https://challenges.cloudflare.com/turnstile/v0/api.js?onload=%s&render=explicit',
+
+	api: function(){ return window.turnstile && window.turnstile.render ? window.turnstile : null; }
+});
+
+CaptchaProvider.Stub = Class.create(CaptchaProvider,
+{
+	api: function(){ return true; },
+
+	configured: function(){ return true; },
+
+	render: function(element, solved)
+	{
+		element.update('<label style="line-height:60px"><input type="checkbox" /> I\'m not a robot (development captcha)</label>');
+		this.widget = element.down('input');
+		this.widget.observe('click', function(){
+			if(this.widget.checked)
+				solved(this.getResponse());
+		}.bind(this));
+	},
+
+	getResponse: function(){ return this.widget && this.widget.checked ? 'stub' : ''; },
+
+	reset: function(){ if(this.widget) this.widget.checked = false; }
+});
+
+CaptchaProvider.providers = {
+	recaptcha: CaptchaProvider.Recaptcha,
+	hcaptcha: CaptchaProvider.Hcaptcha,
+	turnstile: CaptchaProvider.Turnstile,
+	stub: CaptchaProvider.Stub
+};
+
+DownloadManager = Class.create(
+{
+	initialize: function(url, options)
+	{
+		this.url = url;
+		this.options = Object.extend({
+			filename: null,
+			retries: 5,
+			retryDelay: 1000,
+			maxSize: 256*1024*1024,
+			onProgress: Prototype.emptyFunction,
+			onComplete: Prototype.emptyFunction,
+			onError: Prototype.emptyFunction,
+			fallback: Prototype.emptyFunction
+		}, options || {});
+
+		this.chunks = [];
+		this.received = 0;
+		this.total = null;
+		this.type = 'application/octet-stream';
+		this.filename = this.options.filename || decodeURIComponent(url.split('?')[0].split('/').last()) || 'download';
+		this.blob = null;
+		this.paused = false;
+		this.controller = null;
+		this.timer = null;
+		this.attempt = 0;
+		this.samples = [];
+	},
+
+	start: function()
+	{
+		clearTimeout(this.timer);
+		this.paused = false;
+		this.fetch();
+	},
+
+	pause: function()
+	{
+		clearTimeout(this.timer);
+		this.paused = true;
+		if(this.controller)
+			this.controller.abort();
+	},
+
+	resume: function()
+	{
+		if(this.paused)
+			this.start();
+	},
+
+	fetch: function()
+	{
+		var headers = {}, controller;
+
+		this.timer = null;
+		if(this.paused)
+			return;
+		if(this.received)
+			headers.Range = 'bytes='+this.received+'-';
+
+		if(this.controller)
+			this.controller.abort();
+		controller = this.controller = new AbortController();
+		this.samples = [];
+
+		window.fetch(this.url, {headers: headers, credentials: 'include', signal: controller.signal}).then(function(res){
+			var range, disposition;
+
+			if(!res.ok) {
+				var err = new Error('HTTP '+res.status);
+				err.status = res.status;
+				throw err;
+			}
+
+			// the server ignored our Range header, start over
+			if(this.received && res.status != 206) {
+				this.chunks = [];
+				this.received = 0;
+			}
+
+			range = /\/(\d+)$/.exec(res.headers.get('Content-Range') || '');
+			if(range)
+				this.total = parseInt(range[1]);
+			else if(!this.received && res.headers.get('Content-Length'))
+				this.total = parseInt(res.headers.get('Content-Length'));
+
+			if(this.total > this.options.maxSize)
+				return this.tooLarge();
+
+			this.type = res.headers.get('Content-Type') || this.type;
+			disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(res.headers.get('Content-Disposition') || '');
+			if(disposition) {
+				try {
+					this.filename = decodeURIComponent(disposition[1]);
+				} catch(e) {
+					this.filename = disposition[1];
+				}
+			}
+
+			return this.read(res.body.getReader(), controller);
+		}.bind(this))['catch'](function(err){
+			// a newer fetch has replaced this one
+			if(controller == this.controller)
+				this.failed(err);
+		}.bind(this));
+	},
+
+	read: function(reader, controller)
+	{
+		return reader.read().then(function(r){
+			if(controller != this.controller)
+				return;
+			if(r.done)
+				return this.finish();
+
+			this.chunks.push(r.value);
+			this.received += r.value.length;
+			this.attempt = 0;
+
+			if(this.received > this.options.maxSize)
+				return this.tooLarge();
+
+			this.progress();
+
+			return this.read(reader, controller);
+		}.bind(this));
+	},
+
+	// too big to keep in memory, let the browser download it instead
+	tooLarge: function()
+	{
+		this.controller.abort();
+		this.controller = null;
+		this.chunks = [];
+		this.options.fallback(this.url);
+	},
+
+	transient: function(err)
+	{
+		if(err.status)
+			return [408, 429, 500, 502, 503, 504].indexOf(err.status) != -1;
+		return err.name == 'TypeError';
+	},
+
+	failed: function(err)
+	{
+		if(this.paused && err.name == 'AbortError')
+			return;
+
+		// nothing arrived yet, e.g. the file host doesn't allow CORS requests
+		if(!this.received)
+			return this.options.fallback(this.url);
+
+		if(this.transient(err) && this.attempt < this.options.retries) {
+			this.timer = setTimeout(this.fetch.bind(this), this.options.retryDelay * Math.pow(2, this.attempt++));
+			return;
+		}
+
+		this.options.onError(err);
+	},
+
+	progress: function()
+	{
+		var now = new Date().getTime(), first, speed;
+
+		this.samples.push({time: now, bytes: this.received});
+		while(this.samples.length > 2 && now - this.samples[0].time > 5000)
+			this.samples.shift();
+
+		first = this.samples[0];
+		speed = now > first.time ? (this.received - first.bytes) / (now - first.time) * 1000 : 0;
+
+		this.options.onProgress({
+			received: this.received,
+			total: this.total,
+			speed: speed,
+			eta: speed && this.total ? Math.ceil((this.total - this.received) / speed) : null
+		});
+	},
+
+	finish: function()
+	{
+		this.blob = new Blob(this.chunks, {type: this.type});
+		this.chunks = [];
+		this.save();
+		this.options.onComplete(this.blob);
+	},
+
+	save: function()
+	{
+		var a = new Element('a', {href: URL.createObjectURL(this.blob), download: this.filename});
+
+		$$('body')[0].insert(a);
+		a.click();
+		a.remove();
+
+		setTimeout(URL.revokeObjectURL.bind(URL, a.href), 60000);
+	}
+});
+
+DownloadManager.supported = function()
+{
+	return !!(window.fetch && window.AbortController && window.ReadableStream && window.Blob && window.URL && URL.createObjectURL
+		&& 'download' in document.createElement('a'));
+};
+
 cDownload = Class.create(
 {
 	freeslot: false,
-	initialize: function(free_enabled)
+	options: null,
+	_state: 'idle',
+	transitions: {
+		idle: ['requesting', 'queued', 'limited'],
+		requesting: ['waiting', 'queued', 'started', 'limited', 'error'],
+		waiting: ['captcha', 'queued', 'limited', 'error'],
+		queued: ['waiting', 'captcha', 'limited', 'error'],
+		captcha: ['verifying', 'limited', 'error'],
+		verifying: ['started', 'captcha', 'limited', 'error'],
+		started: [],
+		limited: [],
+		error: ['requesting', 'captcha']
+	},
+	initialize: function(free_enabled, options)
 	{
 		var c = this.c();
+
+		this.setOptions(options);
 		
 		this._auth = c.down('h1 a').href.substr(c.down('h1 a').href.lastIndexOf('/')+1);
 		
@@ -16,38 +404,257 @@ cDownload = Class.create(
 			c.down('button.free').observe('click', this.free.bind(this));
 		else
 			c.down('button.free').observe('click', this.noDL.bind(this));
+
+		if(free_enabled && this.loadTicket())
+			this.resume();
+
+		if(this.options.account)
+			this.fetchAccount();
     },
 
+	setOptions: function(options)
+	{
+		this.options = Object.extend({captcha: {}, queue: {}, redirect: {}, account: true, manager: false, timeout: 15000, retries: 4, retryDelay: 1000}, options || {});
+		this.options.queue = Object.extend({enabled: true, delay: 2000, maxDelay: 60000}, this.options.queue);
+		this.options.redirect = Object.extend({enabled: true, url: 'register', delay: 10, capacityDelay: 15, notifyInterval: 30000}, this.options.redirect);
+	},
+
 	c: function(){ return $('content'); },
+
+	account: null,
+	fetchAccount: function()
+	{
+		this.request('account', {retry: true, onSuccess:function(t){
+			if(t.err)
+				return;
+
+			this.account = t;
+			if(t.premium)
+				this.premiumAccount();
+			else if(t.quota)
+				this.quota(t.quota, t.size);
+		}.bind(this)});
+	},
+
+	premiumAccount: function()
+	{
+		var b = this.c().down('button.free');
+
+		if(this._state != 'idle')
+			return;
+
+		this._blink = false;
+		this.clearTicket();
+		if(this.c().down('button.prem'))
+			this.c().down('button.prem').up('td').hide();
+
+		b.stopObserving();
+		b.down('h1').update('Download');
+		b.down('span').update('Premium account &ndash; no waiting');
+		b.observe('click', this.premium.bind(this));
+	},
+
+	premium: function()
+	{
+		var b = this.c().down('button.free');
+
+		b.stopObserving();
+		this.setState('requesting', {premium: true});
+		b.down('h1').update('Processing&hellip;&hellip;');
+
+		this.request('download', {onSuccess:function(t){
+			var err = this.parseError(t.err);
+
+			if(err && err.limit)
+				return this.limit(err);
+
+			if(t.url)
+			{
+				this.setState('started', {url: t.url});
+				return this.startDownload(t.url, t);
+			}
+			this.setState('error', {err: err ? err.code : null, error: err});
+			this.showError(err);
+		}.bind(this), onError:function(err){
+			this.setState('error', {err: err.code, error: err});
+			this.showError(err, this.premium.bind(this));
+		}.bind(this)});
+	},
+
+	quota: function(quota, size)
+	{
+		var b = this.c().down('button.free'), rows = [];
+		quota = Object.extend({downloads: 0, parallel: 0}, quota);
+		var row = function(label, value, exceeded){
+			return '<div%s>%s: <b>%s</b></div>'.sub('%s', exceeded ? ' class="error"' : '').sub('%s', label).sub('%s', value);
+		};
+
+		if(quota.maxDownloads)
+			rows.push(row('Free downloads today', quota.downloads + ' of ' + quota.maxDownloads, quota.downloads >= quota.maxDownloads));
+		if(quota.maxParallel)
+			rows.push(row('Parallel downloads', quota.parallel + ' of ' + quota.maxParallel, quota.parallel >= quota.maxParallel));
+		if(quota.maxSize)
+			rows.push(row('Max. file size', this.formatSize(quota.maxSize), size > quota.maxSize));
+
+		if(!rows.length || this.c().down('.quota'))
+			return;
+
+		b.insert({after: '<div class="quota cL" style="margin-top:5px;font-size:11px;line-height:16px">'
+			+ (quota.maxDownloads ? '<div style="height:4px;margin-bottom:3px;background:#ddd"><div style="height:4px;width:%s%;background:#5a9f3c"></div></div>'
+				.sub('%s', Math.min(100, Math.round(quota.downloads / quota.maxDownloads * 100))) : '')
+			+ rows.join('') + '</div>'});
+	},
+
+	getState: function(){ return this._state; },
+
+	setState: function(state, data)
+	{
+		var from = this._state;
+		if(this.transitions[from].indexOf(state) == -1)
+			return false;
+
+		this._state = state;
+		if(state == 'started')
+			window.downloadstarted = true;
+		if(state == 'started' || state == 'limited')
+			this.clearTicket();
+
+		document.fire('download:state', Object.extend({from: from, to: state}, data || {}));
+		return true;
+	},
 	
 	noDL: function(){
+		if(this.options.queue.enabled)
+			return this.waitInLine();
+
+		this.setState('limited', {limit: 'capacity'});
 		Uploader.ol({fixed:true,html:'<div style="position:relative;margin:10px 40px 5px;line-height:22px" class="aL">'
 			+'	<div style="float:left;width:70px;height:75px;margin:19px 45px 0 10px;background:url(img/e/download.png) -1px -178px"></div>'
 			+'	<div class="vborder" style="float:left;height:114px;margin-right:20px"></div>'
 			+'	<h1 style="font-size:22px;margin-bottom:20px">All of our free-download capacities are exhausted currently.</h1>'
 			+'	<div>Please <a href=\'register\'>get a Premium Account</a> if you want to download this file immediately, otherwise you\'ll have to wait a few minutes in order to download this file.</div>'
-			+'	<div id="limitcd" style="margin-top:5px" class="cL">You\'ll be redirected to the <a href=\"register\">register site</a> in <span class=\"redirect\">15</span> seconds&hellip;'
+			+'	<div id="limitcd" style="margin-top:5px" class="cL">'+this.redirectNotice(this.options.redirect.capacityDelay, true)
 			+'</div>'});
 		
-		$('ol').setStyle('width:850px;height:160px');
+		$('ol').setStyle('width:850px;height:180px');
 		$$('body')[0].setStyle('overflow-x:hidden');
-		this.redirectCountdown();
+		this.startRedirect($('limitcd'), this.options.redirect.capacityDelay, top);
 	},
-	
-	redirectCountdown: function(){
-		setTimeout(function(){
-			var elem = $('limitcd');
-			if(!elem) return;
-			var sec	= parseInt(elem.down('span').innerHTML)-1;
-			
-			if(sec > 0)
-				elem.down('span').update(sec);
-			
-			if(sec == 0)
-				return top.location.href = 'register';
-			
-			this.redirectCountdown();
-		}.bind(this), 1000);
+
+	// notify only helps with capacity, the slot endpoint can't tell when other limits end
+	redirectNotice: function(delay, notify)
+	{
+		var r = this.options.redirect, html = '';
+
+		if(r.enabled)
+			html += '<span class="redirect-text">You\'ll be redirected to the <a href="%s">register site</a> in <span class="redirect">%d</span> seconds&hellip; '
+				.sub('%s', r.url.escapeHTML()).sub('%d', delay)
+				+ '<a href="#" class="stay">Stay on this page</a><br /></span>';
+		if(notify && window.Notification)
+			html += '<span class="notify-text"><a href="#" class="notify">Notify me when free downloads are available again</a></span>';
+
+		return html;
+	},
+
+	_redirect: null,
+	startRedirect: function(elem, delay, win)
+	{
+		var r = this.options.redirect;
+		var until = new Date().getTime() + delay*1000;
+
+		if(elem.down('a.stay'))
+			elem.down('a.stay').observe('click', function(e){
+				e.stop();
+				this.stayOnPage(elem);
+			}.bind(this));
+		if(elem.down('a.notify'))
+			elem.down('a.notify').observe('click', function(e){
+				e.stop();
+				this.notifyWhenFree(elem);
+			}.bind(this));
+
+		if(!r.enabled)
+			return;
+
+		var tick = function(){
+			var sec = Math.ceil((until - new Date().getTime())/1000);
+
+			if(sec <= 0) {
+				this._redirect = null;
+				return win.location.href = r.url;
+			}
+			if(elem.down('span.redirect'))
+				elem.down('span.redirect').update(sec);
+
+			this._redirect = setTimeout(tick, 1000);
+		}.bind(this);
+
+		this._redirect = setTimeout(tick, 1000);
+	},
+
+	stayOnPage: function(elem)
+	{
+		if(this._redirect)
+			clearTimeout(this._redirect);
+		this._redirect = null;
+
+		if(elem.down('.redirect-text'))
+			elem.down('.redirect-text').remove();
+	},
+
+	_notify: null,
+	notifyWhenFree: function(elem)
+	{
+		var asked = false;
+		var poll = function(){
+			if(asked) return;
+			asked = true;
+			elem.down('.notify-text').update('We\'ll let you know as soon as free downloads are available again&hellip;');
+			this.pollFree(elem);
+		}.bind(this);
+
+		this.stayOnPage(elem);
+
+		var permission = Notification.requestPermission(poll);
+		if(permission && permission.then)
+			permission.then(poll);
+	},
+
+	pollFree: function(elem)
+	{
+		var retry = function(){
+			this._notify = setTimeout(this.pollFree.bind(this, elem), this.options.redirect.notifyInterval);
+		}.bind(this);
+
+		this.request('slot', {
+			retry: true,
+			onSuccess: function(t){
+				if(t.err)
+					return retry();
+				if(t.ticket)
+					this.storeTicket(t.ticket);
+				this.notifyFree(elem);
+			}.bind(this),
+			onError: retry
+		});
+	},
+
+	notifyFree: function(elem)
+	{
+		var reload = function(){
+			window.focus();
+			window.location.reload();
+		};
+
+		this._notify = null;
+		elem.down('.notify-text').update('Free downloads are available again. <a href="#">Start your download</a>');
+		elem.down('.notify-text a').observe('click', function(e){
+			e.stop();
+			reload();
+		});
+
+		if(Notification.permission == 'granted')
+			new Notification('Free downloads are available again', {body: document.title}).onclick = reload;
 	},
 
 	_blink: false,
@@ -81,37 +688,454 @@ cDownload = Class.create(
 		}
 		
 		b.stopObserving();
+		this.setState('requesting');
 		b.down('h1').update('Processing&hellip;&hellip;');
 		b.up().select('button, h1').invoke('setStyle', {cursor:'default',color:'#fff',textShadow:'#555 0 0 3px,#fff 0 0 7px'}).invoke('morph', 'color:#ffffaa', {duration:.5});
 
-		new Ajax.Request('io/ticket/slot/'+this._auth, {onComplete:function(t){
-				t = t.responseText.evalJSON();
-				if(t.err) {
-					this.freeslot = false;
-				} else {
-					this.freeslot = true;
-				}
-		}.bind(this)});
+		this._ticket = {ends: new Date().getTime() + parseInt(b.down('span span').innerHTML)*1000, expires: null};
+
+		this.requestSlot();
+
+		setTimeout(this.countdown.bind(this), 1000);
+	},
+
+	_slotAnswered: false,
+	_slotError: null,
+	requestSlot: function()
+	{
+		this.request('slot', {
+			retry: true,
+			onSuccess: function(t){
+				var err = this.parseError(t.err);
+
+				this._slotAnswered = true;
+				this._slotError = err;
+				if(err) {
+					this.freeslot = false;
+					if(this.options.queue.enabled && (err.code == 'slot' || err.limit == 'slot' || t.queue))
+						this.enqueue(t.queue);
+					else if(this._queue)
+						this.leaveQueue(err);
+				} else {
+					this.freeslot = true;
+					if(t.ticket)
+						this.storeTicket(t.ticket);
+					if(this._queue)
+						this.dequeue();
+				}
+			}.bind(this),
+			onError: function(){
+				if(this._queue)
+					this.enqueue(this._queue);
+			}.bind(this)
+		});
+	},
+
+	// server timestamps (issued, expires, resetAt) are unix seconds, durations
+	// (wait, retryAfter) are seconds; they're turned into local ms on arrival
+	schemas: {
+		slot: {err: 'string|object', ticket: {issued: 'number', wait: 'number', expires: 'number'}, queue: {position: 'number', wait: 'number'}},
+		captcha: {err: 'string|object', url: 'url', sha256: 'string', size: 'number', batch: 'string'},
+		download: {err: 'string|object', url: 'url', sha256: 'string', size: 'number'},
+		account: {err: 'string|object', premium: 'boolean', size: 'number', quota: {downloads: 'number', maxDownloads: 'number', parallel: 'number', maxParallel: 'number', maxSize: 'number'}}
+	},
+
+	// io/ticket/<action>/<auth>, checked against this.schemas[action]; pass retry: true for idempotent calls
+	request: function(action, options)
+	{
+		var attempt = 0, auth = this._auth;
+
+		options = Object.extend({parameters: {}, retry: false, onSuccess: Prototype.emptyFunction, onError: Prototype.emptyFunction}, options);
+
+		this.watchConnection();
+
+		var send = function(){
+			this.transmit(action, auth, options.parameters, function(err, data){
+				if(err && err.transient && options.retry && attempt < this.options.retries) {
+					this.connectionBanner(true);
+					return this.retryLater(send, this.options.retryDelay * Math.pow(2, attempt++));
+				}
+
+				// nothing is retrying any more; keep the banner only while the browser is offline
+				if(navigator.onLine !== false)
+					this.connectionBanner(false);
+
+				if(err)
+					options.onError(err);
+				else
+					options.onSuccess(data);
+			}.bind(this));
+		}.bind(this);
+
+		send();
+	},
+
+	transmit: function(action, auth, parameters, callback)
+	{
+		var done = false, timer, req;
+		var token = $$('meta[name="csrf-token"]')[0];
+
+		var finish = function(err, data){
+			if(done) return;
+			done = true;
+			clearTimeout(timer);
+			callback(err, data);
+		};
+
+		req = new Ajax.Request('io/ticket/'+action+'/'+encodeURIComponent(auth), {
+			method: 'post',
+			parameters: parameters,
+			requestHeaders: token ? {'X-CSRF-Token': token.readAttribute('content')} : {},
+			evalJS: false,
+			evalJSON: false,
+			onComplete: function(t){
+				var data;
+				try {
+					data = this.parseResponse(t.responseText, this.schemas[action]);
+				} catch(e) {
+					if(!t.status)
+						return finish({code: 'network', transient: true, message: 'The connection to the server was lost.'});
+					return finish({code: 'invalid', transient: t.status >= 500 || t.status == 408 || t.status == 429,
+						message: 'The server sent an invalid response.'});
+				}
+				finish(null, data);
+			}.bind(this),
+			onException: function(r, e){
+				finish({code: 'network', transient: true, message: 'The request could not be sent.'});
+			}
+		});
+
+		timer = setTimeout(function(){
+			finish({code: 'timeout', transient: true, message: 'The server did not respond in time.'});
+			try {
+				req.transport.abort();
+			} catch(e) {}
+		}, this.options.timeout);
+	},
+
+	_retries: null,
+	retryLater: function(fn, delay)
+	{
+		var retry = {fn: fn};
+
+		this._retries.push(retry);
+		if(navigator.onLine !== false)
+			retry.timer = setTimeout(function(){
+				this._retries = this._retries.without(retry);
+				fn();
+			}.bind(this), delay);
+	},
+
+	watchConnection: function()
+	{
+		if(this._retries)
+			return;
+
+		this._retries = [];
+
+		Event.observe(window, 'offline', function(){
+			this.connectionBanner(true);
+		}.bind(this));
+
+		// retry right away instead of waiting for the backoff to run out
+		Event.observe(window, 'online', function(){
+			var retries = this._retries;
+
+			this._retries = [];
+			this.connectionBanner(false);
+			retries.each(function(retry){
+				clearTimeout(retry.timer);
+				retry.fn();
+			});
+		}.bind(this));
+	},
+
+	connectionBanner: function(show)
+	{
+		var banner = $('connection');
+
+		if(!show) {
+			if(banner)
+				banner.remove();
+			return;
+		}
+		if(banner)
+			return;
+
+		$$('body')[0].insert({top: '<div id="connection" style="position:fixed;top:0;left:0;right:0;z-index:1000;padding:6px;' +
+			'text-align:center;font-size:13px;background:#fff3c4;color:#6b5200">Connection lost, retrying&hellip;</div>'});
+	},
+
+	parseResponse: function(text, schema)
+	{
+		return this.checkSchema(JSON.parse(text), schema || {});
+	},
+
+	checkSchema: function(data, schema)
+	{
+		if(!data || typeof data != 'object' || Object.isArray(data))
+			throw new TypeError('Unexpected response');
+
+		for(var key in schema) {
+			if(!schema.hasOwnProperty(key) || data[key] == null)
+				continue;
+
+			var type = schema[key];
+			if(type == 'url') {
+				if(!Object.isString(data[key]) || !/^(https?:\/\/|\/(?!\/))/i.test(data[key]))
+					throw new TypeError('Unexpected value for '+key);
+			} else if(Object.isString(type)) {
+				if(type.split('|').indexOf(typeof data[key]) == -1)
+					throw new TypeError('Unexpected value for '+key);
+			} else
+				this.checkSchema(data[key], type);
+		}
+		return data;
+	},
+
+	showError: function(err, retry)
+	{
+		var c = $('captcha');
+
+		c.update('<div style="margin:10px 20px 0 0"><span class="error"></span></div>');
+		c.down('span.error').update((err && err.message ? err.message : 'Unknown error').escapeHTML());
+
+		if(retry) {
+			c.down('div').insert(' <a href="#">Try again</a>');
+			c.down('div a').observe('click', function(e){
+				e.stop();
+				retry();
+			});
+		}
+	},
+
+	_queue: null,
+	enqueue: function(info)
+	{
+		info = info || {};
+
+		if(!this._queue)
+			this._queue = {attempt: 0, timer: null};
+
+		this._queue.position = parseInt(info.position) || null;
+		this._queue.wait = parseInt(info.wait) || null;
+
+		if(!this._queue.timer) {
+			var delay = Math.min(this.options.queue.delay * Math.pow(2, this._queue.attempt++), this.options.queue.maxDelay);
+			this._queue.timer = setTimeout(function(){
+				this._queue.timer = null;
+				if(this.transitions[this._state].length)
+					this.requestSlot();
+			}.bind(this), delay);
+		}
+
+		this.queueStatus();
+	},
+
+	dequeue: function()
+	{
+		var wait;
+
+		if(this._queue.timer)
+			clearTimeout(this._queue.timer);
+		this._queue = null;
+
+		if(this._state != 'queued')
+			return;
+
+		wait = this._ticket ? Math.ceil((this._ticket.ends - new Date().getTime())/1000) : 0;
+		if(wait > 0 && this.c().down('button.free span span')) {
+			$('captcha').update('');
+			this.setState('waiting', {seconds: wait});
+			this.countdown();
+		} else
+			this.captcha();
+	},
+
+	// the slot endpoint answered with an error that waiting won't fix
+	leaveQueue: function(err)
+	{
+		if(this._queue.timer)
+			clearTimeout(this._queue.timer);
+		this._queue = null;
+
+		if(this._state != 'queued')
+			return;
+
+		if(err.limit)
+			return this.limit(err);
+
+		this.setState('error', {err: err.code, error: err});
+		this.showError(err);
+	},
+
+	waitInLine: function()
+	{
+		var b = this.c().down('button.free');
+
+		b.stopObserving();
+		b.down('h1').update('Processing&hellip;&hellip;');
+
+		if(!this.setState('queued'))
+			return;
+
+		$('captcha').morph('height:120px', {duration:.3});
+		this.enqueue(this._queue);
+	},
+
+	queueStatus: function()
+	{
+		var c = $('captcha'), q = this._queue, text;
+
+		if(this._state != 'queued' || !q)
+			return;
+
+		if(q.position)
+			text = 'You are number <b>%s</b> in line'.sub('%s', q.position)
+				+ (q.wait ? ', about <b>%s</b> minutes&hellip;'.sub('%s', Math.max(1, Math.ceil(q.wait/60))) : '&hellip;');
+		else
+			text = 'Waiting for a free download slot&hellip;';
+
+		if(!c.down('.queue'))
+			c.update('<div class="queue" style="margin:10px 20px 0 0">' +
+				'<span class="cG"><img src="/img/l/fb.gif" style="margin:0 7px -1px 10px" /> <span></span></span>' +
+				'<p class="cL"><small>Your download continues automatically as soon as a slot is free. <a href="register">Premium account</a> users don\'t have to wait.</small></p></div>');
+		c.down('.queue span span').update(text);
+	},
+
+	resume: function()
+	{
+		var b = this.c().down('button.free');
+
+		b.stopObserving();
+		this.setState('requesting', {resumed: true});
+		this.freeslot = true;
+		b.down('h1').update('Processing&hellip;&hellip;');
+
+		this.countdown();
+	},
+
+	_ticket: null,
+	ticketKey: function(){ return 'ticket_'+this._auth; },
+
+	storeTicket: function(ticket)
+	{
+		var now = new Date().getTime();
+
+		this._ticket = {
+			ends: now + ticket.wait*1000,
+			expires: ticket.expires ? now + (ticket.expires - ticket.issued)*1000 : null
+		};
+
+		try {
+			window.sessionStorage.setItem(this.ticketKey(), Object.toJSON(this._ticket));
+		} catch(e) {}
+	},
+
+	loadTicket: function()
+	{
+		try {
+			var ticket = window.sessionStorage.getItem(this.ticketKey());
+			if(!ticket)
+				return false;
+
+			ticket = ticket.evalJSON(true);
+			if(ticket.expires && ticket.expires < new Date().getTime()) {
+				this.clearTicket();
+				return false;
+			}
+			this._ticket = ticket;
+			return true;
+		} catch(e) {
+			return false;
+		}
+	},
+
+	clearTicket: function()
+	{
+		try {
+			window.sessionStorage.removeItem(this.ticketKey());
+		} catch(e) {}
+	},
+
+	start: function(t)
+	{
+		if(!t.responseText)
+			return;
+
+		var e;
+		try {
+			e = this.parseError(this.parseResponse(t.responseText, this.schemas.captcha).err);
+		} catch(ex) {
+			e = null;
+		}
+
+		if(e && e.limit)
+			this.limit(e);
+		else {
+			this.setState('error', {err: e ? e.code : null, error: e});
+			this.showError(e);
+		}
+	},
+
+	// err is a plain code ("limit_dl") or {code, message, retryAfter, resetAt, max, size}
+	parseError: function(err)
+	{
+		if(!err)
+			return null;
+		if(Object.isString(err))
+			err = {code: err};
+		if(!Object.isString(err.code))
+			err = {code: 'error'};
+
+		err = Object.extend({message: err.code}, err);
+		err.message = String(err.message);
+		err.limit = err.code.substr(0, 5) == 'limit' ? err.code.substr(6) : null;
+		return err;
+	},
+
+	formatSize: function(bytes)
+	{
+		var units = ['B', 'KB', 'MB', 'GB', 'TB'], i = 0;
 
-		setTimeout(this.countdown.bind(this), 1000);
+		bytes = parseFloat(bytes);
+		while(bytes >= 1024 && i < units.length-1) {
+			bytes /= 1024;
+			i++;
+		}
+		return (i ? bytes.toFixed(1).replace(/\.0$/, '') : bytes) + ' ' + units[i];
 	},
 
-	start: function(t)
+	formatTime: function(date)
 	{
-		if(!t.responseText)
-			return;
+		var pad = function(n){ return (n < 10 ? '0' : '') + n; };
+		return pad(date.getHours()) + ':' + pad(date.getMinutes());
+	},
 
-		var e = t.responseText.evalJSON();
+	formatDuration: function(sec)
+	{
+		var pad = function(n){ return (n < 10 ? '0' : '') + n; };
+		var h = Math.floor(sec/3600), m = Math.floor(sec%3600/60), s = sec%60;
+		return (h ? h + ':' + pad(m) : m) + ':' + pad(s);
+	},
 
-		if(e.err.substr(0, 5) == 'limit')
-			this.limit(e.err.substr(6));
-		else
-			$('captcha').update('<div style="margin:10px 20px 0 0">' +
-				'<span class="error">'+e.err+'</span></div>');
+	retryTime: function(error)
+	{
+		if(error.retryAfter)
+			return new Date().getTime() + error.retryAfter*1000;
+		if(error.resetAt)
+			return error.resetAt*1000;
+		return null;
 	},
 
-	limit: function(limit)
+	limit: function(error)
 	{
+		if(Object.isString(error))
+			error = this.parseError('limit_'+error);
+
+		var limit = error.limit;
+		this.setState('limited', {limit: limit, error: error});
+
 		if(limit == "host"){
 			var s = window.document.location.href.substring(window.document.location.href.indexOf('file/')+5);
 			if(s.indexOf('/')) s = s.substring(0,s.indexOf('/'));
@@ -124,43 +1148,65 @@ cDownload = Class.create(
 				   parallel:'You\'re already downloading.To download simultaneously you need a Premium account.',
 				   size: 'Only Premiumusers are allowed to download files lager than 1,00 GB.',
 				   slot:'The free download is currently not available - Please try again later! <b>Premium account users are not affected by this temporary limitation</b>.'};
+		var next = {dl:'Your next free download is available at <b>%s</b> (in <span class="retry"></span>).'};
+		var text = err[limit] || error.message.escapeHTML(), retry = this.retryTime(error);
+
+		if(limit == 'size' && error.max)
+			text = 'Files over <b>%s</b> need a Premium account'.sub('%s', this.formatSize(error.max))
+				+ (error.size ? ' (this file is <b>%s</b>).'.sub('%s', this.formatSize(error.size)) : '.');
+
+		if(retry)
+			text += ' ' + (next[limit] || 'Please try again at <b>%s</b> (in <span class="retry"></span>).').sub('%s', this.formatTime(new Date(retry)));
+
 		c.morph('height:120px', {duration:.3,afterFinish:function(){
 			c.update('<div style="margin:10px 20px 0 0">' +
-				'<span class="error">'+(err[limit])+'</span>' +
-				'' +
-				'<p class="cL"><small>You\'ll be redirected to the <a href=\"register\">register site</a> in <span class=\"redirect\">10</span> seconds&hellip;</small></p></div>');
+				'<span class="error">'+text+'</span>' +
+				(retry ? '' :
+				'<p class="cL"><small>'+this.redirectNotice(this.options.redirect.delay, limit == 'slot')+'</small></p>') +
+				'</div>');
 			c.down('div').pulsate({duration:.4,pulses:3});
-			this.redirect();
+			if(retry)
+				this.retryCountdown(retry);
+			else
+				this.startRedirect(c.down('small'), this.options.redirect.delay, window);
 		}.bind(this)});
 	},
-	
-	redirect: function()
+
+	retryCountdown: function(until)
 	{
-		var c = $('captcha').down('.redirect');
-		var v = parseInt(c.innerHTML)-1;
-		
-		if(c && v>0)
-			c.update(v);
-		else
-			return window.location.href = 'register';
-		
-		setTimeout(this.redirect.bind(this), 1000);
+		var c = $('captcha').down('.retry');
+		if(!c) return;
+
+		var t = Math.ceil((until - new Date().getTime())/1000);
+
+		if(t <= 0) {
+			c.up('span.error').update('You can <a href="#">start your download</a> now.');
+			$('captcha').down('span.error a').observe('click', function(e){
+				e.stop();
+				window.location.reload();
+			});
+			return;
+		}
+
+		c.update(this.formatDuration(t));
+		setTimeout(this.retryCountdown.bind(this, until), 1000);
 	},
 	
 	countdown: function()
 	{
 		if(!this.c().down('button.free span span')) return;
 		
-		var t = parseInt(this.c().down('button.free span span').innerHTML);
+		var t = Math.ceil((this._ticket.ends - new Date().getTime())/1000);
+
+		if(this._state == 'requesting')
+			this.setState('waiting', {seconds: Math.max(t, 0)});
 		
-		if(t <= 1)
+		if(t <= 0)
 			return this.checkslots();	//return this.captcha(); 
-		else
-			t--;
 		
 		this.c().down('button.free span').update('Wait <span>%s</span> seconds&hellip;'.sub('%s', t));
 		
-		setTimeout(this.countdown.bind(this), 1000);
+		setTimeout(this.countdown.bind(this), 500);
 	},
 
     urldecode: function(str) {
@@ -175,49 +1221,365 @@ cDownload = Class.create(
         return (str + '').replace(/[\\"']/g, '\\$&').replace(/\u0000/g, '\\0');
     },
 
-	captcha: function(wrong)
+	_captcha: null,
+	captchaProvider: function()
+	{
+		if(!this._captcha) {
+			var config = Object.extend({provider: 'recaptcha', sitekey: null, invisible: false, timeout: 15000}, this.options.captcha);
+			this._captcha = new CaptchaProvider.providers[config.provider](config);
+			this._captcha.onExpired(this.captchaExpired.bind(this));
+		}
+		return this._captcha;
+	},
+
+	captcha: function()
 	{
-		
-		 //if(!$('downloadOld')) return;
-		
-		if(!Recaptcha)
-			return setTimeout(this.captcha.bind(this), 10);
-		
 		var c = $('captcha');
-		//c.setStyle('height:131px');
-		c.morph('height:131px', {duration:.3,afterFinish:function(){
+		var provider = this.captchaProvider();
 
-						c.update('<form method="post" action="io/ticket/captcha/'+this._auth+'"><div></div></form>');
-			
+		if(!this.setState('captcha'))
+			return;
+
+		c.morph('height:131px', {duration:.3,afterFinish:function(){
+			c.update('<form method="post" action="io/ticket/captcha/'+this._auth+'"><div></div></form>');
 			c.down('form').observe('submit', this.send.bind(this));
-			Recaptcha.create("6Lcqz78SAAAAAPgsTYF3UlGf2QFQCNuPMenuyHF3 ",
-			    c.down('form div'),
-			    { theme: (wrong?'red':'white'),
-			      callback: Recaptcha.focus_response_field }
-			  );
-			//c.down('form button').appear({duration:1}).morph('height:27px',{duration:.6});
-            //c.down('form').insert({bottom:'<a id="fasterspeed" style="height:0px;overflow:hidden;margin-left:48px;" target="_blank" href="http://r.lumovies.com/87/'+filename+'">Faster Speed</a>'});
+
+			provider.load(function(err){
+				if(err) {
+					this.setState('error', {err: 'captcha_load', error: err});
+					return this.showError(err, this.captcha.bind(this));
+				}
+				provider.render(c.down('form div'), this.captchaSolved.bind(this));
+			}.bind(this));
 		}.bind(this)});
-		
+	},
 
-		c.observe('keyup',function(){
-			c.stopObserving();
-			var button = '<button id="download_button" class="captcha" type="submit" style="height:27px;overflow:hidden;margin-left:18%;">Download</button>';
-			c.down('form').insert({bottom: button});
-			
-			//c.down('form button').appear({duration:1}).morph('height:27px',{duration:.6});
-            //c.down('form').insert({bottom:'<div id="fasterspeed" style="height:24px; overflow:hidden;margin-left:48px;font-size:11px;font-weight:bold;" onClick="window.open(\'http://r.lumovies.com/87/'+filename+'\')">Faster Speed</a>'});
-            //c.down('fasterspeed').appear({duration:1}).morph('height:27px',{duration:.6});
+	manager: null,
+	startDownload: function(url, ticket)
+	{
+		var c = $('captcha');
+
+		this._checksum = ticket && /^[0-9a-f]{64}$/i.test(ticket.sha256) ? {sha256: ticket.sha256.toLowerCase(), size: ticket.size} : null;
+
+		if(!this.options.manager || !DownloadManager.supported())
+			return this.directDownload(url);
+
+		this.manager = new DownloadManager(url, Object.extend(Object.extend({}, this.options.manager), {
+			filename: this.c().down('h1 a').innerHTML.unescapeHTML(),
+			onProgress: this.downloadProgress.bind(this),
+			onComplete: this.downloadComplete.bind(this),
+			onError: this.downloadFailed.bind(this),
+			fallback: this.directDownload.bind(this)
+		}));
+
+		if(ticket && ticket.size > this.manager.options.maxSize)
+			return this.directDownload(url);
+
+		c.update('<div class="manager" style="margin:10px 20px 0 0">' +
+			'<div style="height:6px;margin-bottom:4px;background:#ddd"><div class="bar" style="height:6px;width:0;background:#5a9f3c"></div></div>' +
+			'<span class="cG status">starting download&hellip;</span> <a href="#" class="pause">Pause</a></div>');
+
+		this.bindPause(c.down('a.pause'));
+		this.manager.start();
+	},
+
+	bindPause: function(link)
+	{
+		link.update('Pause').stopObserving().observe('click', function(e){
+			e.stop();
+			if(this.manager.paused) {
+				this.manager.resume();
+				link.update('Pause');
+			} else {
+				this.manager.pause();
+				link.update('Resume');
+			}
+		}.bind(this));
+	},
+
+	directDownload: function(url)
+	{
+		$('captcha').update('<span class="cG"><img src="/img/l/fb.gif" style="margin:0 7px -1px 10px" /> starting download&hellip;</span>');
+
+		window.location.href = url;
+
+		this.offerVerify();
+	},
+
+	downloadProgress: function(p)
+	{
+		var c = $('captcha').down('.manager'), text;
+		if(!c) return;
+
+		text = this.formatSize(p.received) + (p.total ? ' of ' + this.formatSize(p.total) : '');
+		if(p.speed)
+			text += ' &middot; ' + this.formatSize(Math.round(p.speed)) + '/s';
+		if(p.eta !== null)
+			text += ' &middot; ' + this.formatDuration(p.eta) + ' left';
+
+		if(p.total)
+			c.down('.bar').setStyle({width: Math.min(100, p.received / p.total * 100) + '%'});
+		c.down('.status').update(text);
+	},
+
+	downloadComplete: function(blob)
+	{
+		var c = $('captcha').down('.manager');
+		if(!c) return;
+
+		c.down('.bar').setStyle({width: '100%'});
+		c.down('.status').update('download complete (' + this.formatSize(blob.size) + ')');
+		c.down('a.pause').remove();
+
+		if(this.offerVerify())
+			$('captcha').down('.verify small').insert({top: '<a href="#" class="check">Verify file</a> &middot; '});
+		if($('captcha').down('.verify a.check'))
+			$('captcha').down('.verify a.check').observe('click', function(e){
+				e.stop();
+				this.verifyFile(blob);
+			}.bind(this));
+	},
+
+	_checksum: null,
+	_dropping: false,
+	offerVerify: function()
+	{
+		var c = $('captcha');
+
+		if(!this._checksum || !this.canHash())
+			return false;
+
+		c.insert({bottom: '<div class="verify cL" style="margin-top:5px"><small>' +
+			'Check the downloaded file for corruption: drop it onto this page or ' +
+			'<label style="text-decoration:underline;cursor:pointer">choose it<input type="file" style="display:none" /></label>.' +
+			'</small><div class="result"></div></div>'});
+
+		c.down('.verify input').observe('change', function(e){
+			if(e.element().files.length)
+				this.verifyFile(e.element().files[0]);
+		}.bind(this));
+
+		if(!this._dropping) {
+			this._dropping = true;
+			document.observe('dragover', function(e){ e.preventDefault(); });
+			document.observe('drop', function(e){
+				e.stop();
+				if(e.dataTransfer && e.dataTransfer.files.length)
+					this.verifyFile(e.dataTransfer.files[0]);
+			}.bind(this));
+		}
+		return true;
+	},
+
+	verifyFile: function(file)
+	{
+		var result = $('captcha').down('.verify .result');
+		if(!result) return;
+
+		if(this._checksum.size && file.size != this._checksum.size)
+			return result.update('<span class="error">This file doesn\'t match: it has %s, the original has %s. Please download it again.</span>'
+				.sub('%s', this.formatSize(file.size)).sub('%s', this.formatSize(this._checksum.size)));
+
+		result.update('<span class="cL">checking file&hellip;</span>');
+		this.hashFile(file, function(err, hash){
+			if(err)
+				result.update('<span class="error">The file could not be checked in this browser.</span>');
+			else if(hash == this._checksum.sha256)
+				result.update('<span class="cG">The file is intact, its SHA-256 checksum matches.</span>');
+			else
+				result.update('<span class="error">The file is corrupted, its SHA-256 checksum doesn\'t match. Please download it again.</span>');
+		}.bind(this), function(done){
+			result.update('<span class="cL">checking file&hellip; %s%</span>'.sub('%s', Math.round(done * 100)));
+		});
+	},
+
+	// runs inside a Web Worker so hashing large files doesn't block the page.
+	// WebCrypto can only digest a whole buffer, so big files are read in
+	// slices and hashed incrementally instead of being loaded at once
+	hashWorker: function()
+	{
+		var WHOLE = 64*1024*1024, SLICE = 4*1024*1024;
+		var K = [
+			0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+			0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+			0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+			0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+			0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+			0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+			0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+			0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+		];
+
+		var hex = function(bytes){
+			return Array.prototype.map.call(bytes, function(b){ return ('0' + b.toString(16)).slice(-2); }).join('');
+		};
+
+		var block = function(h, w, d, o){
+			var i, a, b, t1, t2;
+			var A = h[0], B = h[1], C = h[2], D = h[3], E = h[4], F = h[5], G = h[6], H = h[7];
+
+			for(i = 0; i < 16; i++)
+				w[i] = d[o+i*4] << 24 | d[o+i*4+1] << 16 | d[o+i*4+2] << 8 | d[o+i*4+3];
+			for(i = 16; i < 64; i++) {
+				a = w[i-15];
+				b = w[i-2];
+				w[i] = (w[i-16] + ((a>>>7 | a<<25) ^ (a>>>18 | a<<14) ^ (a>>>3)) + w[i-7] + ((b>>>17 | b<<15) ^ (b>>>19 | b<<13) ^ (b>>>10))) | 0;
+			}
+			for(i = 0; i < 64; i++) {
+				t1 = (H + ((E>>>6 | E<<26) ^ (E>>>11 | E<<21) ^ (E>>>25 | E<<7)) + ((E & F) ^ (~E & G)) + K[i] + w[i]) | 0;
+				t2 = (((A>>>2 | A<<30) ^ (A>>>13 | A<<19) ^ (A>>>22 | A<<10)) + ((A & B) ^ (A & C) ^ (B & C))) | 0;
+				H = G; G = F; F = E; E = (D + t1) | 0;
+				D = C; C = B; B = A; A = (t1 + t2) | 0;
+			}
+			h[0] = (h[0] + A) | 0; h[1] = (h[1] + B) | 0; h[2] = (h[2] + C) | 0; h[3] = (h[3] + D) | 0;
+			h[4] = (h[4] + E) | 0; h[5] = (h[5] + F) | 0; h[6] = (h[6] + G) | 0; h[7] = (h[7] + H) | 0;
+		};
+
+		var sliced = function(file){
+			var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+			var w = new Int32Array(64), rest = new Uint8Array(128), used = 0;
+			var reader = new FileReaderSync(), offset, data, i, bits, out;
+
+			for(offset = 0; offset < file.size; offset += SLICE) {
+				data = new Uint8Array(reader.readAsArrayBuffer(file.slice(offset, offset + SLICE)));
+				i = 0;
+				if(used) {
+					while(used < 64 && i < data.length)
+						rest[used++] = data[i++];
+					if(used < 64)
+						continue;
+					block(h, w, rest, 0);
+					used = 0;
+				}
+				for(; i + 64 <= data.length; i += 64)
+					block(h, w, data, i);
+				while(i < data.length)
+					rest[used++] = data[i++];
+
+				postMessage({progress: Math.min(1, (offset + SLICE) / file.size)});
+			}
+
+			rest[used++] = 0x80;
+			while(used % 64 != 56)
+				rest[used++] = 0;
+			bits = file.size * 8;
+			for(i = 7; i >= 0; i--) {
+				rest[used + i] = bits & 0xff;
+				bits = Math.floor(bits / 256);
+			}
+			for(i = 0; i < used + 8; i += 64)
+				block(h, w, rest, i);
+
+			out = new Uint8Array(32);
+			for(i = 0; i < 8; i++) {
+				out[i*4] = h[i] >>> 24;
+				out[i*4+1] = h[i] >>> 16 & 0xff;
+				out[i*4+2] = h[i] >>> 8 & 0xff;
+				out[i*4+3] = h[i] & 0xff;
+			}
+			return hex(out);
+		};
+
+		onmessage = function(e){
+			var file = e.data;
+
+			if(file.size > WHOLE) {
+				try {
+					postMessage({hash: sliced(file)});
+				} catch(err) {
+					postMessage({error: String(err)});
+				}
+				return;
+			}
+
+			crypto.subtle.digest('SHA-256', new FileReaderSync().readAsArrayBuffer(file)).then(function(hash){
+				postMessage({hash: hex(new Uint8Array(hash))});
+			}, function(err){
+				postMessage({error: String(err)});
+			});
+		};
+	},
+
+	canHash: function()
+	{
+		return !!(window.Worker && window.crypto && window.crypto.subtle && window.Blob && window.URL && URL.createObjectURL);
+	},
+
+	hashFile: function(file, callback, progress)
+	{
+		var url = URL.createObjectURL(new Blob(['(' + this.hashWorker.toString() + ')();'], {type: 'text/javascript'}));
+		var worker;
+		var done = function(err, hash){
+			worker.terminate();
+			URL.revokeObjectURL(url);
+			callback(err, hash);
+		};
+
+		try {
+			worker = new Worker(url);
+		} catch(e) {
+			URL.revokeObjectURL(url);
+			return callback(e);
+		}
+
+		worker.onmessage = function(e){
+			if(e.data.progress !== undefined)
+				return progress && progress(e.data.progress);
+			done(e.data.error || null, e.data.hash);
+		};
+		worker.onerror = function(e){ done(e.message || 'error'); };
+		worker.postMessage(file);
+	},
+
+	downloadFailed: function(err)
+	{
+		var c = $('captcha').down('.manager');
+		if(!c) return;
+
+		c.down('.status').update('<span class="error">The download was interrupted.</span>');
+		c.down('a.pause').update('Try again').stopObserving().observe('click', function(e){
+			e.stop();
+			c.down('.status').update('resuming download&hellip;');
+			this.bindPause(c.down('a.pause'));
+			this.manager.attempt = 0;
+			this.manager.start();
 		}.bind(this));
 	},
+
+	captchaSolved: function()
+	{
+		var c = $('captcha');
+		if(!c.down('form') || $('download_button'))
+			return;
+
+		var button = '<button id="download_button" class="captcha" type="submit" style="height:27px;overflow:hidden;margin-left:18%;">Download</button>';
+		c.down('form').insert({bottom: button});
+	},
+
+	captchaExpired: function()
+	{
+		if($('download_button'))
+			$('download_button').remove();
+	},
+
+	captchaFailed: function(elem)
+	{
+		this.setState('captcha', {wrong: true});
+		elem.appear({duration:.3});
+		elem.setStyle({background:'#f00'}).morph('background:#ffffff', {duration:2});
+		this.captchaExpired();
+		this.captchaProvider().reset();
+	},
 	
 	checkslots: function() {
 		if(this.freeslot) {
 			this.captcha();
 			//$('captcha').update('<form method="post" action="io/ticket/captcha/'+this._auth+'"><button class="free" style="margin-right:0px;"><h1>Download Starten</h1><span style="">Sie knnen Ihren Download starten</span></button></form>')
 			//$('captcha').down('form').observe('submit', this.send.bind(this));
+		} else if(this.options.queue.enabled && (this._queue || !this._slotAnswered)) {
+			this.waitInLine();
 		} else {
-			this.limit("slot");
+			this.limit(this._slotError && this._slotError.limit ? this._slotError : "slot");
 		}
 			
 	},
@@ -226,74 +1588,304 @@ cDownload = Class.create(
 	{
 		e.stop();
 
-		if($('recaptcha_response_field').getValue() == '')
-			return Uploader.alert('Please solve the captcha');
-		
-		e.element().fade({duration:.6});
-		e.element().request({onComplete:function(t){
-			t = t.responseText.evalJSON();
+		var form = e.element();
+		var provider = this.captchaProvider();
 
-			if(t.err && t.err == 'captcha')
-			{
-				e.element().appear({duration:.3});
-				e.element().setStyle({background:'#f00'}).morph('background:#ffffff', {duration:2}).down('.recaptcha_image_cell').setStyle({background:'#ffffff'});
-				tracking_method = 'forcesale';
-				return;
-			}
-			else if(t.err && t.err.substr(0, 5) == 'limit')
-			{
+		provider.execute(function(response){
+			if(!response)
+				return Uploader.alert('Please solve the captcha');
+
+			this.setState('verifying');
+			form.fade({duration:.6});
+			this.request('captcha', {parameters: provider.parameters(response), onSuccess:function(t){
+				var err = this.parseError(t.err);
+
+				if(err && err.code == 'captcha')
+				{
+					this.captchaFailed(form);
+					tracking_method = 'forcesale';
+					return;
+				}
+				else if(err && err.limit)
+				{
+					tracking_method = 'forcesale';
+					return this.limit(err);
+				}
+
+				if(t.url)
+				{
+					this.setState('started', {url: t.url});
+					return this.startDownload(t.url, t);
+				}
 				tracking_method = 'forcesale';
-				return this.limit(t.err.substr(6));
-			}				
+				this.setState('error', {err: err ? err.code : null, error: err});
+				return this.showError(err);
+			}.bind(this), onError:function(err){
+				this.setState('error', {err: err.code, error: err});
+				this.showError(err, this.captcha.bind(this));
+			}.bind(this)});
+		}.bind(this));
+	},
 
-			if(t.url)
-			{
-                                window.downloadstarted = true;
-                $('captcha').update('<span class="cG"><img src="/img/l/fb.gif" style="margin:0 7px -1px 10px" /> starting download&hellip;</span>');
+	verifyCaptcha: function(cb){
 
-				window.location.href = t.url;
+		var provider = this.captchaProvider();
 
-				return;
+		provider.execute(function(response){
+			if (!response) {
+				return Uploader.alert('Please solve the captcha');
 			}
-			tracking_method = 'forcesale';
-			return $('captcha').update('<div style="margin:10px 20px 0 0">' +
-				'<span class="error">'+(t.err?t.err:'Unknown error')+'</span></div>');
-			
-			
-		}.bind(this)});
+
+			this.setState('verifying');
+			this.request('captcha', {
+				parameters: provider.parameters(response),
+				onSuccess: function (t) {
+					var err = this.parseError(t.err);
+					if (err && err.code == 'captcha') {
+						this.captchaFailed($('captcha').down('form div'));
+						return;
+					} else if(err && err.limit) {
+						return this.limit(err);
+					}
+
+					if(t.url)
+					{
+						this.setState('started', {url: t.url});
+						cb(t);
+						$('captcha').update('<span class="cG"><img src="/img/l/fb.gif" style="margin:0 7px -1px 10px" /> starting download&hellip;</span>');
+						return ;
+					}
+
+					this.setState('error', {err: err ? err.code : null, error: err});
+				}.bind(this),
+				onError: function (err) {
+					this.setState('error', {err: err.code, error: err});
+					this.showError(err, this.captcha.bind(this));
+				}.bind(this)
+			});
+		}.bind(this));
+
+	}
+
+});
+
+// runs file auths (strings or {auth, name}) through the free flow one by one, reusing a batch token for the captcha
+cBatchDownload = Class.create(cDownload,
+{
+	labels: {waiting: 'cL', limited: 'error', started: 'cG', failed: 'error'},
+
+	initialize: function(files, options)
+	{
+		this.setOptions(Object.extend({container: 'content'}, options || {}));
+
+		this.container = $(this.options.container);
+		this.files = files.map(function(file){
+			if(Object.isString(file))
+				file = {auth: file};
+			return {auth: file.auth, name: file.name || file.auth, status: null, attempt: 0};
+		});
+		this._token = null;
+
+		this.render();
 	},
 
-	verifyCaptcha: function(cb){
+	render: function()
+	{
+		this.container.update('<ul class="batch" style="margin:10px 0;line-height:22px">' +
+			this.files.map(function(){ return '<li><span class="name"></span> <span class="status"></span></li>'; }).join('') +
+			'</ul><div class="captcha"></div>' +
+			'<button class="free"><h1>Download all</h1><span>%s files</span></button>'.sub('%s', this.files.length));
+
+		this.container.select('ul.batch li').each(function(li, i){
+			this.files[i].elem = li;
+			li.down('.name').update(this.files[i].name.escapeHTML());
+			this.status(this.files[i], 'waiting');
+		}.bind(this));
+
+		this.container.down('button.free').observe('click', this.run.bind(this));
+	},
+
+	status: function(file, status, message)
+	{
+		var changed = file.status != status;
+
+		file.status = status;
+		file.elem.down('.status').className = 'status ' + this.labels[status];
+		file.elem.down('.status').update('<b>%s</b>'.sub('%s', status) + (message ? ' &ndash; ' + message : ''));
+
+		if(changed)
+			document.fire('download:batch', {auth: file.auth, status: status});
+	},
+
+	run: function()
+	{
+		this.container.down('button.free').remove();
+		this.next();
+	},
+
+	next: function()
+	{
+		var file = this.files.find(function(f){ return f.status == 'waiting'; });
+
+		if(!file)
+			return this.finished();
+
+		this._auth = file.auth;
+		this.status(file, 'waiting', 'requesting a slot&hellip;');
+
+		this.request('slot', {
+			retry: true,
+			onSuccess: function(t){
+				var err = this.parseError(t.err);
+				if(err)
+					return this.refused(file, err);
+
+				file.attempt = 0;
+				this.fileCountdown(file, t.ticket ? new Date().getTime() + t.ticket.wait*1000 : 0);
+			}.bind(this),
+			onError: this.fail.bind(this, file)
+		});
+	},
+
+	refused: function(file, err)
+	{
+		var delay;
 
-		if (!$('recaptcha_response_field').getValue()) {
-			return Uploader.alert('Please solve the captcha');
+		if(err.code == 'slot' || err.limit == 'slot' || err.limit == 'parallel') {
+			delay = err.retryAfter ? err.retryAfter*1000 : Math.min(this.options.queue.delay * Math.pow(2, file.attempt++), this.options.queue.maxDelay);
+			this.status(file, 'waiting', err.limit == 'parallel' ? 'waiting for the previous download&hellip;' : 'waiting for a free download slot&hellip;');
+			return setTimeout(this.next.bind(this), delay);
 		}
 
-		new Ajax.Request('io/ticket/captcha/' + this._auth, {
-			parameters: 'recaptcha_response_field=' + $('recaptcha_response_field').getValue() + '&recaptcha_challenge_field=' + $('recaptcha_challenge_field').getValue(),
-			onComplete: function (t) {
-				t = t.responseText.evalJSON();
-				if (t.err && t.err == 'captcha') {
-					$('captcha').down('form div').appear({duration:.3});
-					$('captcha').down('form div').setStyle({background:'#f00'}).morph('background:#ffffff', {duration:2}).down('.recaptcha_image_cell').setStyle({background:'#ffffff'});
-					return;
-				} else if(t.err && t.err.substr(0, 5) == 'limit') {
-					return this.limit(t.err.substr(6));
-				}
+		if(!err.limit)
+			return this.fail(file, err);
 
-				if(t.url)
-				{
-					cb(t);
-					$('captcha').update('<span class="cG"><img src="/img/l/fb.gif" style="margin:0 7px -1px 10px" /> starting download&hellip;</span>');
-					return ;
+		this.status(file, 'limited', this.limitText(err));
+
+		// the daily limit applies to every file that is still left
+		if(err.limit == 'dl')
+			this.files.each(function(f){
+				if(f.status == 'waiting')
+					this.status(f, 'limited', this.limitText(err));
+			}.bind(this));
+
+		this.next();
+	},
+
+	limitText: function(err)
+	{
+		var retry = this.retryTime(err);
+
+		switch(err.limit) {
+			case 'dl':
+				return retry ? 'next free download at %s'.sub('%s', this.formatTime(new Date(retry))) : 'free download limit reached';
+			case 'size':
+				return err.max ? 'files over %s need a Premium account'.sub('%s', this.formatSize(err.max)) : 'too large for a free download';
+			case 'host':
+				return 'not available as free download';
+		}
+		return err.message.escapeHTML();
+	},
+
+	fail: function(file, err)
+	{
+		this.status(file, 'failed', (err && err.message ? err.message : 'Unknown error').escapeHTML());
+		this.next();
+	},
+
+	fileCountdown: function(file, until)
+	{
+		var t = Math.ceil((until - new Date().getTime())/1000);
+
+		if(t > 0) {
+			this.status(file, 'waiting', 'Wait %s seconds&hellip;'.sub('%s', t));
+			return setTimeout(this.fileCountdown.bind(this, file, until), 500);
+		}
+
+		this.fileTicket(file);
+	},
+
+	fileTicket: function(file)
+	{
+		if(this._token)
+			return this.sendTicket(file, {batch_token: this._token});
+
+		this.fileCaptcha(file);
+	},
+
+	fileCaptcha: function(file)
+	{
+		var c = this.container.down('.captcha');
+		var provider = this.captchaProvider();
+
+		this.status(file, 'waiting', 'please solve the captcha&hellip;');
+		c.update('<div></div>');
+
+		provider.load(function(err){
+			if(err) {
+				c.update('');
+				return this.fail(file, err);
+			}
+			provider.render(c.down('div'), function(){
+				provider.execute(function(response){
+					if(response)
+						this.sendTicket(file, Object.extend(provider.parameters(response), {batch: 1}));
+				}.bind(this));
+			}.bind(this));
+		}.bind(this));
+	},
+
+	sendTicket: function(file, parameters)
+	{
+		this._auth = file.auth;
+		this.request('captcha', {
+			parameters: parameters,
+			onSuccess: function(t){
+				var err = this.parseError(t.err);
+
+				this.container.down('.captcha').update('');
+
+				if(err && err.code == 'captcha') {
+					this._token = null;
+					return this.fileCaptcha(file);
 				}
+				if(err)
+					return this.refused(file, err);
 
-			}.bind(this)
+				if(t.url) {
+					if(t.batch)
+						this._token = t.batch;
+					this.fileDownload(file, t.url);
+					return this.next();
+				}
+				this.fail(file, err);
+			}.bind(this),
+			onError: this.fail.bind(this, file)
 		});
+	},
 
-	}
+	// browsers may block several automatic downloads, so each file also gets a link
+	fileDownload: function(file, url)
+	{
+		var frame = new Element('iframe', {src: url, style: 'display:none'});
+
+		this.status(file, 'started', 'download started &ndash; <a href="' + url.escapeHTML() + '">click here if it didn\'t</a>');
+		$$('body')[0].insert(frame);
+
+		setTimeout(function(){ frame.remove(); }, 60000);
+	},
+
+	finished: function()
+	{
+		var started = this.files.findAll(function(f){ return f.status == 'started'; }).length;
 
+		this.container.down('.captcha').update('<span class="cG">%s of %s downloads started.</span>'.sub('%s', started).sub('%s', this.files.length)
+			+ (started > 1 ? '<p class="cL"><small>If your browser blocked some of them, allow multiple downloads for this site or use the links above.</small></p>' : ''));
+		document.fire('download:batch', {done: true, started: started});
+	}
 });
 
-if(!Recaptcha) var Recaptcha = null;
-var Download = new cDownload(free_enabled);
+if(window.download_batch)
+	var BatchDownload = new cBatchDownload(window.download_batch, window.download_config);
+else
+	var Download = new cDownload(free_enabled, window.download_config);